@@ -21,14 +21,16 @@ module.exports = (file, contentCatalog, vfs) => {
             mediaType: image.mediaType,
             path: ospath.join(image.relative, image.basename),
             basename: image.basename,
+            stem: ospath.basename(image.basename, ospath.extname(image.basename)),
+            extname: ospath.extname(image.basename),
             relative: image.basename
           }
         })
       }
     },
-    read: (resourceId, format) => {
+    read: (resourceId, format, httpOptions) => {
       const target = contentCatalog.resolveResource(resourceId, file.src)
-      return target ? target.contents.toString() : baseReadFn(resourceId, format)
+      return target ? target.contents.toString(format) : baseReadFn(resourceId, format, httpOptions)
     }
   }
 }
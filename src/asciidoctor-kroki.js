@@ -1,5 +1,8 @@
 // @ts-check
-const { KrokiDiagram, KrokiClient } = require('./kroki-client.js')
+const { KrokiDiagram, KrokiClient, KrokiError, KrokiOfflineError } = require('./kroki-client.js')
+const { resolveDiagramNames, getSupportedFormats, getOutputFormat } = require('./diagram-types.js')
+const { resolveDiagramOptions } = require('./diagram-options.js')
+const { memo } = require('./memo.js')
 
 function UnsupportedFormatError (message) {
   this.name = 'UnsupportedFormatError'
@@ -19,21 +22,249 @@ function InvalidConfigurationError (message) {
 // eslint-disable-next-line new-parens
 InvalidConfigurationError.prototype = new Error
 
+const knownFormats = ['svg', 'png', 'pdf', 'jpeg', 'txt', 'atxt', 'utxt', 'base64']
+
+/**
+ * Resolve the output format of a diagram.
+ *
+ * If the format is not supported by the diagram type, use the fallback format defined by the kroki-fallback-format attribute (if any).
+ * The value "auto" will use the first supported format (SVG is preferred).
+ *
+ * @param doc - Asciidoctor document
+ * @param {string} diagramType - Kroki diagram type
+ * @param {string} format - requested format
+ * @param context - register context
+ * @returns {string} - the output format
+ * @throws {UnsupportedFormatError} if the format is not supported and no fallback format is available
+ * @throws {InvalidConfigurationError} if the fallback format is invalid
+ */
+function resolveFormat (doc, diagramType, format, context) {
+  const supportedFormats = getSupportedFormats(diagramType, context)
+  // unknown diagram type, let the Kroki server decide
+  if (typeof supportedFormats === 'undefined' || supportedFormats.includes(format)) {
+    return format
+  }
+  const fallbackFormat = doc.getAttribute('kroki-fallback-format')
+  if (fallbackFormat) {
+    let resolvedFormat
+    if (fallbackFormat === 'auto') {
+      resolvedFormat = supportedFormats.includes('svg') ? 'svg' : supportedFormats[0]
+    } else if (!knownFormats.includes(fallbackFormat)) {
+      throw new InvalidConfigurationError(`Invalid value '${fallbackFormat}' for kroki-fallback-format attribute. The value must be either: 'auto', ${knownFormats.map((format) => `'${format}'`).join(', ')}.`)
+    } else if (supportedFormats.includes(fallbackFormat)) {
+      resolvedFormat = fallbackFormat
+    }
+    if (resolvedFormat) {
+      console.warn(`Format '${format}' is not supported by ${diagramType}. Proceeding using: '${resolvedFormat}'.`)
+      return resolvedFormat
+    }
+  }
+  throw new UnsupportedFormatError(`Format '${format}' is not supported by ${diagramType}. Supported formats are: ${supportedFormats.map((format) => `'${format}'`).join(', ')}.`)
+}
+
 const isBrowser = () => {
   return typeof window === 'object' && typeof window.XMLHttpRequest === 'object'
 }
 
-const createImageSrc = (doc, krokiDiagram, target, vfs, krokiClient) => {
+/**
+ * Get the HTTP client defined in the register context or the default HTTP client for the current environment.
+ *
+ * @param context - register context
+ * @returns {{get: Function, post: Function}}
+ */
+const getHttpClient = (context) => {
+  if (context.httpClient) {
+    return context.httpClient
+  }
+  if (isBrowser()) {
+    return require('./http/browser-http.js')
+  }
+  return context.session ? context.session.getHttpClient() : require('./http/node-http.js')
+}
+
+// network options (proxy and certificate authority) used by the Node HTTP client by (root) document and by attribute values
+const httpOptionsByDocument = new WeakMap()
+
+/**
+ * Get the network options used by the Node HTTP client.
+ * The options are only resolved once per document (and per attribute values), so the certificate authority file is not read for every diagram.
+ *
+ * @param doc - Asciidoctor document
+ * @returns {{proxy: string|undefined, ca: string|undefined}}
+ */
+const getHttpOptions = (doc) => {
+  if (isBrowser()) {
+    return {}
+  }
+  const rootDocument = getRootDocument(doc)
+  const httpOptions = httpOptionsByDocument.get(rootDocument) || new Map()
+  httpOptionsByDocument.set(rootDocument, httpOptions)
+  const key = JSON.stringify([doc.getAttribute('kroki-http-proxy'), doc.getAttribute('kroki-tls-ca-file'), doc.getBaseDir()])
+  if (!httpOptions.has(key)) {
+    httpOptions.set(key, require('./http/node-http-options.js').fromDocument(doc))
+  }
+  return httpOptions.get(key)
+}
+
+// diagrams that are not available offline by (root) document
+const missingDiagrams = new WeakMap()
+
+const getRootDocument = (doc) => {
+  let rootDocument = doc
+  while (rootDocument.getParentDocument()) {
+    rootDocument = rootDocument.getParentDocument()
+  }
+  return rootDocument
+}
+
+const addMissingDiagram = (doc, label) => {
+  const rootDocument = getRootDocument(doc)
+  const diagrams = missingDiagrams.get(rootDocument) || []
+  diagrams.push(label)
+  missingDiagrams.set(rootDocument, diagrams)
+}
+
+/**
+ * @param doc - Asciidoctor document
+ * @returns {string} - 'fail' or 'warn'
+ */
+const getOfflineMode = (doc) => {
+  const mode = doc.getAttribute('kroki-offline', '').toLowerCase()
+  if (mode === '' || mode === 'fail') {
+    return 'fail'
+  }
+  if (mode !== 'warn') {
+    console.warn(`Invalid value '${mode}' for kroki-offline attribute. The value must be either: 'fail' or 'warn'. Proceeding using: 'fail'.`)
+    return 'fail'
+  }
+  return mode
+}
+
+/**
+ * @param doc - Asciidoctor document
+ * @returns {string} - 'delete' or 'dry-run'
+ */
+const getGarbageCollectionMode = (doc) => {
+  const mode = doc.getAttribute('kroki-fetch-gc', '').toLowerCase()
+  if (mode === '' || mode === 'delete') {
+    return 'delete'
+  }
+  if (mode !== 'dry-run') {
+    console.warn(`Invalid value '${mode}' for kroki-fetch-gc attribute. The value must be either: 'delete' or 'dry-run'. Proceeding using: 'dry-run'.`)
+    return 'dry-run'
+  }
+  return mode
+}
+
+const isAsyncFetch = (doc) => {
+  return !isBrowser() && doc.getAttribute('kroki-fetch-mode', 'sync').toLowerCase() === 'async'
+}
+
+const createDataUri = (krokiDiagram, krokiClient) => {
+  const { mediaType, encoding, base64 } = getOutputFormat(krokiDiagram.format)
+  const contents = krokiClient.getImage(krokiDiagram, encoding)
+  // the base64 format is already encoded in base64
+  const data = base64 ? contents.trim() : Buffer.from(contents, encoding).toString('base64')
+  return `data:${mediaType};base64,${data}`
+}
+
+const fetchImage = (doc, krokiDiagram, target, vfs, krokiClient) => {
+  if (isAsyncFetch(doc)) {
+    // the diagram will be fetched (concurrently) by the tree processor
+    return require('./fetch.js').saveLater(krokiDiagram, doc, target, vfs, krokiClient)
+  }
+  return require('./fetch.js').save(krokiDiagram, doc, target, vfs, krokiClient)
+}
+
+/**
+ * Get the policy applied when the image URI is too long (and kroki-fetch-diagram is not enabled).
+ *
+ * @param doc - Asciidoctor document
+ * @returns {string} - 'fetch', 'embed' or 'warn'
+ */
+const getLongUriPolicy = (doc) => {
+  // the diagram cannot be saved on the file system in the browser
+  const defaultPolicy = isBrowser() ? 'embed' : 'fetch'
+  const policy = doc.getAttribute('kroki-long-uri-policy', 'fetch').toLowerCase()
+  if (policy !== 'fetch' && policy !== 'embed' && policy !== 'warn') {
+    console.warn(`Invalid value '${policy}' for kroki-long-uri-policy attribute. The value must be either: 'fetch', 'embed' or 'warn'. Proceeding using: '${defaultPolicy}'.`)
+    return defaultPolicy
+  }
+  return policy === 'fetch' ? defaultPolicy : policy
+}
+
+/**
+ * Embed the diagram as a data URI.
+ *
+ * When Asciidoctor is able to embed (data-uri attribute) or to inline (inline option) the image itself,
+ * the diagram is fetched and saved instead, so Asciidoctor can read the image from the file system.
+ * In the browser, the image URI is returned when Asciidoctor is allowed to read it (allow-uri-read attribute).
+ *
+ * @returns {string} - the image target
+ */
+const embedImage = (doc, krokiDiagram, target, vfs, krokiClient, option) => {
+  const inline = option === 'inline' && krokiDiagram.format === 'svg'
+  if (isBrowser()) {
+    if (inline || (doc.isAttribute('data-uri') && doc.isAttribute('allow-uri-read'))) {
+      return krokiDiagram.getDiagramUri(krokiClient.getServerUrl(krokiDiagram))
+    }
+    return createDataUri(krokiDiagram, krokiClient)
+  }
+  if (inline || doc.isAttribute('data-uri')) {
+    return fetchImage(doc, krokiDiagram, target, vfs, krokiClient)
+  }
+  return createDataUri(krokiDiagram, krokiClient)
+}
+
+const createImageSrc = (doc, krokiDiagram, target, vfs, krokiClient, blockLabel, option) => {
+  if (doc.isAttribute('kroki-embed')) {
+    return embedImage(doc, krokiDiagram, target, vfs, krokiClient, option)
+  }
   const shouldFetch = doc.isAttribute('kroki-fetch-diagram')
-  let imageUrl
   if (shouldFetch) {
-    imageUrl = require('./fetch.js').save(krokiDiagram, doc, target, vfs, krokiClient)
-  } else {
-    imageUrl = krokiDiagram.getDiagramUri(krokiClient.getServerUrl())
+    return fetchImage(doc, krokiDiagram, target, vfs, krokiClient)
+  }
+  const serverUrl = krokiClient.getServerUrl(krokiDiagram)
+  const imageUrl = krokiDiagram.getDiagramUri(serverUrl)
+  if (krokiClient.isUriTooLong(imageUrl, serverUrl)) {
+    // the image will be requested (using a GET request) by the browser, this request might be rejected by the server
+    const maxUriLength = krokiClient.getMaxUriLength(serverUrl)
+    const policy = getLongUriPolicy(doc)
+    if (policy === 'fetch') {
+      console.warn(`The image URI of the ${blockLabel} is longer than ${maxUriLength} characters. Proceeding by fetching the diagram.`)
+      return fetchImage(doc, krokiDiagram, target, vfs, krokiClient)
+    }
+    if (policy === 'embed') {
+      console.warn(`The image URI of the ${blockLabel} is longer than ${maxUriLength} characters. Proceeding by embedding the diagram as a data URI.`)
+      return embedImage(doc, krokiDiagram, target, vfs, krokiClient, option)
+    }
+    console.warn(`The image URI of the ${blockLabel} is longer than ${maxUriLength} characters and might be rejected by the Kroki server. Consider using the kroki-fetch-diagram attribute.`)
   }
   return imageUrl
 }
 
+/**
+ * Get a label that identifies the block (used to report warnings).
+ *
+ * @param doc - Asciidoctor document
+ * @param {string} diagramType - Kroki diagram type
+ * @param attrs - block attributes
+ * @returns {string} - for instance: "plantuml block 'sequence' in index.adoc"
+ */
+const getBlockLabel = (doc, diagramType, attrs) => {
+  let label = `${diagramType} block`
+  if (attrs.id) {
+    label += ` '${attrs.id}'`
+  } else if (attrs.target) {
+    label += ` '${attrs.target}'`
+  }
+  const docFile = doc.getAttribute('docfile')
+  if (docFile) {
+    label += ` in ${docFile}`
+  }
+  return label
+}
+
 /**
  * Get the option defined on the block or macro.
  *
@@ -58,7 +289,7 @@ function getOption (attrs, document) {
   }
 }
 
-const processKroki = (processor, parent, attrs, diagramType, diagramText, context) => {
+const processKroki = (processor, parent, attrs, diagramType, diagramText, context, macroTarget = undefined) => {
   const doc = parent.getDocument()
   // If "subs" attribute is specified, substitute accordingly.
   // Be careful not to specify "specialcharacters" or your diagram code won't be valid anymore!
@@ -66,17 +297,18 @@ const processKroki = (processor, parent, attrs, diagramType, diagramText, contex
   if (subs) {
     diagramText = parent.applySubstitutions(diagramText, parent.$resolve_subs(subs))
   }
+  const httpOptions = getHttpOptions(doc)
   if (diagramType === 'vegalite') {
-    diagramText = require('./preprocess.js').preprocessVegaLite(diagramText, context)
+    diagramText = require('./preprocess.js').preprocessVegaLite(diagramText, context, httpOptions)
   } else if (diagramType === 'plantuml') {
     const plantUmlInclude = doc.getAttribute('kroki-plantuml-include')
     if (plantUmlInclude) {
       diagramText = `!include ${plantUmlInclude}\n${diagramText}`
     }
-    diagramText = require('./preprocess.js').preprocessPlantUML(diagramText, context, doc.getBaseDir())
+    diagramText = require('./preprocess.js').preprocessPlantUML(diagramText, context, doc.getBaseDir(), httpOptions, doc.getAttribute('kroki-plantuml-stdlib-dir'))
   }
   const blockId = attrs.id
-  const format = attrs.format || doc.getAttribute('kroki-default-format') || 'svg'
+  const format = resolveFormat(doc, diagramType, attrs.format || doc.getAttribute('kroki-default-format') || 'svg', context)
   const caption = attrs.caption
   const title = attrs.title
   let role = attrs.role
@@ -103,9 +335,16 @@ const processKroki = (processor, parent, attrs, diagramType, diagramText, contex
   if (blockId) {
     blockAttrs.id = blockId
   }
-  const krokiDiagram = new KrokiDiagram(diagramType, format, diagramText)
-  const httpClient = isBrowser() ? require('./http/browser-http.js') : require('./http/node-http.js')
-  const krokiClient = new KrokiClient(doc, httpClient)
+  const krokiDiagram = new KrokiDiagram(diagramType, format, diagramText, resolveDiagramOptions(doc, diagramType, attrs))
+  const httpClient = getHttpClient(context)
+  const cache = isBrowser() ? undefined : require('./cache.js').fromDocument(doc)
+  const krokiClient = new KrokiClient(doc, httpClient, {
+    cache,
+    memo: context.session ? context.session.memo : memo,
+    statistics: context.session ? context.session.statistics : undefined,
+    httpHeaders: context.httpHeaders,
+    httpOptions
+  })
   let block
   if (format === 'txt' || format === 'atxt' || format === 'utxt') {
     const textContent = krokiClient.getTextContent(krokiDiagram)
@@ -119,7 +358,9 @@ const processKroki = (processor, parent, attrs, diagramType, diagramText, contex
     } else {
       alt = 'Diagram'
     }
-    blockAttrs.target = createImageSrc(doc, krokiDiagram, attrs.target, context.vfs, krokiClient)
+    // the name of the fetched file is derived from the block target, the block id or the block macro target
+    const target = attrs.target || blockId || macroTarget
+    blockAttrs.target = createImageSrc(doc, krokiDiagram, target, context.vfs, krokiClient, getBlockLabel(doc, diagramType, attrs), option)
     blockAttrs.alt = alt
     block = processor.createImageBlock(parent, blockAttrs)
   }
@@ -130,27 +371,115 @@ const processKroki = (processor, parent, attrs, diagramType, diagramText, contex
   return block
 }
 
-function diagramBlock (context) {
+// functions that create the fallback blocks of the image blocks fetched by the tree processor (when kroki-fetch-mode is async)
+const fallbackBlocks = new WeakMap()
+
+/**
+ * Create the block displayed instead of a diagram block that cannot be converted: the diagram source with the kroki-error role.
+ * When the Kroki server returns an error message, this message is used as the block title.
+ *
+ * @param processor - block processor
+ * @param parent - parent block
+ * @param attrs - list of attributes
+ * @param diagramText - diagram source
+ * @param {Error} error
+ * @returns {any} - the fallback block
+ */
+function createBlockFallback (processor, parent, attrs, diagramText, error) {
+  const role = attrs.role
+  const block = processor.createBlock(parent, attrs['cloaked-context'], diagramText, Object.assign({}, attrs, { role: role ? `${role} kroki-error` : 'kroki-error' }))
+  if (error instanceof KrokiError) {
+    // show the error returned by the Kroki server
+    block['$title='](error.reason)
+  }
+  return block
+}
+
+/**
+ * Create the block displayed instead of a diagram block macro that cannot be converted: the error message with the kroki-error role.
+ *
+ * @param processor - block macro processor
+ * @param parent - parent block
+ * @param attrs - list of attributes
+ * @param name - block macro name
+ * @param target - block macro target
+ * @param {Error} error
+ * @returns {any} - the fallback block
+ */
+function createBlockMacroFallback (processor, parent, attrs, name, target, error) {
+  const role = attrs.role
+  return processor.createBlock(parent, 'paragraph', `${error.message} - ${name}::${target}[]`, Object.assign({}, attrs, { role: role ? `${role} kroki-error` : 'kroki-error' }))
+}
+
+/**
+ * Register the function that creates the fallback block of an image block that will be fetched later (when kroki-fetch-mode is async).
+ *
+ * @param block - block created by processKroki
+ * @param {function(Error): any} createFallback
+ * @returns {any} - the block
+ */
+function registerFallback (block, createFallback) {
+  if (block.getContext() === 'image' && isAsyncFetch(block.getDocument())) {
+    fallbackBlocks.set(block, createFallback)
+  }
+  return block
+}
+
+/**
+ * Replace a block by another block in its parent.
+ *
+ * @param block - block to replace
+ * @param replacement - new block
+ */
+function replaceBlock (block, replacement) {
+  const siblings = block.getParent().getBlocks()
+  const index = siblings.indexOf(block)
+  if (index !== -1) {
+    siblings[index] = replacement
+  }
+}
+
+/**
+ * Add the block or block macro name as a role when the name is an alias.
+ * As a result, the original name is preserved in the classes (for styling purposes).
+ *
+ * @param attrs - list of attributes
+ * @param name - block or block macro name
+ * @param diagramType - Kroki diagram type
+ * @returns {any} - list of attributes
+ */
+function addAliasRole (attrs, name, diagramType) {
+  if (name !== diagramType) {
+    const role = attrs.role
+    return Object.assign({}, attrs, { role: role ? `${role} ${name}` : name })
+  }
+  return attrs
+}
+
+function diagramBlock (diagramType, context) {
   return function () {
     const self = this
     self.onContext(['listing', 'literal'])
     self.positionalAttributes(['target', 'format'])
     self.process((parent, reader, attrs) => {
-      const diagramType = this.name.toString()
-      const role = attrs.role
+      const name = this.name.toString()
       const diagramText = reader.$read()
+      const fallbackAttrs = Object.assign({}, attrs)
       try {
-        return processKroki(this, parent, attrs, diagramType, diagramText, context)
+        const block = processKroki(this, parent, addAliasRole(attrs, name, diagramType), diagramType, diagramText, context)
+        return registerFallback(block, (error) => createBlockFallback(this, parent, fallbackAttrs, diagramText, error))
       } catch (e) {
-        console.warn(`Skipping ${diagramType} block. ${e.message}`)
-        attrs.role = role ? `${role} kroki-error` : 'kroki-error'
-        return this.createBlock(parent, attrs['cloaked-context'], diagramText, attrs)
+        if (e instanceof KrokiOfflineError) {
+          addMissingDiagram(parent.getDocument(), getBlockLabel(parent.getDocument(), diagramType, attrs))
+        }
+        console.warn(`Skipping ${name} block. ${e.message}`)
+        return createBlockFallback(this, parent, fallbackAttrs, diagramText, e)
       }
     })
   }
 }
 
-function diagramBlockMacro (name, context) {
+function diagramBlockMacro (name, diagramType, context) {
   return function () {
     const self = this
     self.named(name)
@@ -171,38 +500,185 @@ function diagramBlockMacro (name, context) {
           target = parent.normalizeSystemPath(target)
         }
       }
-      const role = attrs.role
-      const diagramType = name
+      const fallbackAttrs = Object.assign({}, attrs)
       try {
-        const diagramText = vfs.read(target)
-        return processKroki(this, parent, attrs, diagramType, diagramText, context)
+        const diagramText = vfs.read(target, 'utf8', getHttpOptions(parent.getDocument()))
+        const block = processKroki(this, parent, addAliasRole(attrs, name, diagramType), diagramType, diagramText, context, target)
+        return registerFallback(block, (error) => createBlockMacroFallback(this, parent, fallbackAttrs, name, target, error))
       } catch (e) {
-        console.warn(`Skipping ${diagramType} block macro. ${e.message}`)
-        attrs.role = role ? `${role} kroki-error` : 'kroki-error'
-        return this.createBlock(parent, 'paragraph', `${e.message} - ${diagramType}::${target}[]`, attrs)
+        if (e instanceof KrokiOfflineError) {
+          const docFile = parent.getDocument().getAttribute('docfile')
+          addMissingDiagram(parent.getDocument(), docFile ? `${name}::${target}[] in ${docFile}` : `${name}::${target}[]`)
+        }
+        console.warn(`Skipping ${name} block macro. ${e.message}`)
+        return createBlockMacroFallback(this, parent, fallbackAttrs, name, target, e)
+      }
+    })
+  }
+}
+
+/**
+ * Fetch the pending diagrams concurrently (when kroki-fetch-mode is async).
+ * The image blocks are already referencing the diagram file names,
+ * so we only need to make sure that the files exist before the document is converted.
+ * The image blocks of the diagrams that cannot be fetched are replaced by the same fallback blocks as in sync mode.
+ */
+function fetchDiagramsTreeProcessor () {
+  return function () {
+    const self = this
+    self.process((doc) => {
+      if (!isAsyncFetch(doc)) {
+        return doc
+      }
+      let concurrency = parseInt(doc.getAttribute('kroki-fetch-concurrency', '4'), 10)
+      if (isNaN(concurrency) || concurrency < 1) {
+        console.warn(`Invalid value '${doc.getAttribute('kroki-fetch-concurrency')}' for kroki-fetch-concurrency attribute. The value must be a positive integer. Proceeding using: 4.`)
+        concurrency = 4
+      }
+      const failures = require('./fetch.js').fetchPending(doc, concurrency)
+      if (failures.length > 0) {
+        const blocks = doc.findBy({ context: 'image', traverse_documents: true }, (block) => block.hasRole('kroki'))
+        for (const { diagramName, error } of failures) {
+          if (error instanceof KrokiOfflineError) {
+            addMissingDiagram(doc, `image '${diagramName}'`)
+          }
+          console.warn(`Unable to fetch diagram ${diagramName}. ${error.message}`)
+          for (const block of blocks.filter((block) => block.getAttribute('target') === diagramName)) {
+            const createFallback = fallbackBlocks.get(block)
+            if (createFallback) {
+              replaceBlock(block, createFallback(error))
+            } else {
+              block.addRole('kroki-error')
+            }
+          }
+        }
+      }
+      return doc
+    })
+  }
+}
+
+/**
+ * Report the diagrams that are not available offline (when the kroki-offline attribute is set).
+ * By default, the conversion fails with an error listing the blocks that need to be refreshed.
+ */
+function reportMissingDiagramsTreeProcessor () {
+  return function () {
+    const self = this
+    self.process((doc) => {
+      const diagrams = missingDiagrams.get(doc)
+      if (typeof diagrams === 'undefined') {
+        return doc
+      }
+      missingDiagrams.delete(doc)
+      const message = `The following diagrams are not available offline, convert the document without the kroki-offline attribute to refresh them:\n${diagrams.map((diagram) => ` - ${diagram}`).join('\n')}`
+      if (getOfflineMode(doc) === 'warn') {
+        console.warn(message)
+        return doc
+      }
+      throw new KrokiOfflineError(message, diagrams)
+    })
+  }
+}
+
+/**
+ * Delete the fetched diagram files that are no longer used by the document (when the kroki-fetch-gc attribute is set).
+ * This step runs once the document is converted, so every diagram file produced during the conversion is known.
+ */
+function garbageCollectPostprocessor () {
+  return function () {
+    const self = this
+    self.process((doc, output) => {
+      if (isBrowser() || !doc.isAttribute('kroki-fetch-gc')) {
+        return output
+      }
+      const dryRun = getGarbageCollectionMode(doc) === 'dry-run'
+      const staleFilePaths = require('./fetch.js').collectGarbage(doc, dryRun)
+      if (dryRun && staleFilePaths.length > 0) {
+        console.warn(`The following diagram files are no longer used and would be deleted (kroki-fetch-gc attribute is set to dry-run):\n${staleFilePaths.map((filePath) => ` - ${filePath}`).join('\n')}`)
       }
+      return output
+    })
+  }
+}
+
+/**
+ * Remove the expired entries and the least recently used entries from the cache (when the kroki-cache-dir attribute is set).
+ * The cache is evicted once per conversion, instead of once per diagram.
+ */
+function evictCachePostprocessor () {
+  return function () {
+    const self = this
+    self.process((doc, output) => {
+      if (isBrowser()) {
+        return output
+      }
+      const cache = require('./cache.js').fromDocument(doc)
+      if (cache) {
+        try {
+          cache.evict()
+        } catch (e) {
+          console.warn(`Unable to evict the entries of the cache directory '${cache.dirPath}'. ${e.message}`)
+        }
+      }
+      return output
     })
   }
 }
 
 module.exports.register = function register (registry, context = {}) {
+  const httpClient = context.httpClient
+  if (typeof httpClient !== 'undefined' && (httpClient === null || typeof httpClient.get !== 'function' || typeof httpClient.post !== 'function')) {
+    throw new InvalidConfigurationError('Invalid httpClient option. The HTTP client must implement the following functions: get(uri, encoding, options) and post(uri, body, encoding, options).')
+  }
+  const session = context.session
+  if (typeof session !== 'undefined' && (session === null || typeof session.getHttpClient !== 'function')) {
+    throw new InvalidConfigurationError('Invalid session option. The session must be created using the createSession function.')
+  }
   // patch context in case of Antora
   if (typeof context.contentCatalog !== 'undefined' && typeof context.contentCatalog.addFile === 'function' && typeof context.file !== 'undefined') {
     context.vfs = require('./antora-adapter.js')(context.file, context.contentCatalog, context.vfs)
   }
-  const names = ['plantuml', 'ditaa', 'graphviz', 'blockdiag', 'seqdiag', 'actdiag', 'nwdiag', 'packetdiag', 'rackdiag', 'c4plantuml', 'erd', 'mermaid', 'nomnoml', 'svgbob', 'umlet', 'vega', 'vegalite', 'wavedrom', 'bytefield', 'bpmn']
   if (typeof registry.register === 'function') {
     registry.register(function () {
-      for (const name of names) {
-        this.block(name, diagramBlock(context))
-        this.blockMacro(diagramBlockMacro(name, context))
+      // the document is available when the group is activated,
+      // only the attributes passed from the API or the CLI are defined at this stage (the header is not yet parsed)
+      const names = resolveDiagramNames(context, this.document)
+      for (const { name, type } of names) {
+        this.block(name, diagramBlock(type, context))
+        this.blockMacro(diagramBlockMacro(name, type, context))
       }
+      this.treeProcessor(fetchDiagramsTreeProcessor())
+      this.treeProcessor(reportMissingDiagramsTreeProcessor())
+      this.postprocessor(garbageCollectPostprocessor())
+      this.postprocessor(evictCachePostprocessor())
     })
   } else if (typeof registry.block === 'function') {
-    for (const name of names) {
-      registry.block(name, diagramBlock(context))
-      registry.blockMacro(diagramBlockMacro(name, context))
+    const names = resolveDiagramNames(context)
+    for (const { name, type } of names) {
+      registry.block(name, diagramBlock(type, context))
+      registry.blockMacro(diagramBlockMacro(name, type, context))
     }
+    registry.treeProcessor(fetchDiagramsTreeProcessor())
+    registry.treeProcessor(reportMissingDiagramsTreeProcessor())
+    registry.postprocessor(garbageCollectPostprocessor())
+    registry.postprocessor(evictCachePostprocessor())
   }
   return registry
 }
+
+/**
+ * Create a session that can be shared by the documents converted during a build, for instance:
+ *
+ *   const session = asciidoctorKroki.createSession()
+ *   asciidoctorKroki.register(asciidoctor.Extensions, { session })
+ *
+ * @param {{httpClient?: any, memo?: any}} options - see KrokiSession
+ */
+module.exports.createSession = function createSession (options = {}) {
+  return require('./session.js').createSession(options)
+}
+
+module.exports.UnsupportedFormatError = UnsupportedFormatError
+module.exports.InvalidConfigurationError = InvalidConfigurationError
+module.exports.KrokiOfflineError = KrokiOfflineError
@@ -0,0 +1,175 @@
+const fs = require('fs')
+const path = require('path')
+const mkdirp = require('mkdirp')
+
+/**
+ * Parse a size, for instance: "1024", "500k", "100m" or "1g".
+ *
+ * @param {string|number|undefined} value
+ * @returns {number|undefined} - the size in bytes or undefined if the value is invalid
+ */
+const parseSize = (value) => {
+  if (typeof value === 'undefined' || value === null || value === '') {
+    return undefined
+  }
+  const match = /^\s*(\d+)\s*([kmg]?)b?\s*$/i.exec(`${value}`)
+  if (match === null) {
+    return undefined
+  }
+  const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 }
+  return parseInt(match[1], 10) * units[match[2].toLowerCase()]
+}
+
+/**
+ * A persistent (on-disk) cache of Kroki responses.
+ * Each entry is stored in a file named after a hash of the diagram type, format, text and options.
+ */
+class KrokiCache {
+  /**
+   * @param {string} dirPath - cache directory
+   * @param {number|undefined} maxSize - maximum size of the cache in bytes (unlimited if undefined)
+   * @param {number|undefined} ttl - time to live of an entry in seconds (never expires if undefined)
+   */
+  constructor (dirPath, maxSize, ttl) {
+    this.dirPath = dirPath
+    this.maxSize = maxSize
+    this.ttl = ttl
+  }
+
+  getKey (krokiDiagram) {
+    return krokiDiagram.getHash()
+  }
+
+  getFilePath (krokiDiagram) {
+    return path.join(this.dirPath, `${this.getKey(krokiDiagram)}.${krokiDiagram.format}`)
+  }
+
+  isExpired (stats, now = Date.now()) {
+    return typeof this.ttl !== 'undefined' && now - stats.mtimeMs > this.ttl * 1000
+  }
+
+  /**
+   * @param krokiDiagram
+   * @param {string} encoding
+   * @returns {string|undefined} - the cached content or undefined if the entry does not exist (or is expired)
+   */
+  get (krokiDiagram, encoding = 'utf8') {
+    const filePath = this.getFilePath(krokiDiagram)
+    let stats
+    try {
+      stats = fs.statSync(filePath)
+    } catch (e) {
+      return undefined
+    }
+    if (this.isExpired(stats)) {
+      this.remove(filePath)
+      return undefined
+    }
+    try {
+      const contents = fs.readFileSync(filePath)
+      // the access time is used to evict the least recently used entries
+      fs.utimesSync(filePath, new Date(), stats.mtime)
+      return contents.toString(encoding)
+    } catch (e) {
+      return undefined
+    }
+  }
+
+  /**
+   * Write an entry in the cache.
+   * The cache is not evicted on each write, since it requires to read the whole directory, see evict.
+   *
+   * @param krokiDiagram
+   * @param {string} contents
+   * @param {string} encoding
+   */
+  set (krokiDiagram, contents, encoding = 'utf8') {
+    try {
+      mkdirp.sync(this.dirPath)
+      fs.writeFileSync(this.getFilePath(krokiDiagram), Buffer.from(contents, encoding))
+    } catch (e) {
+      console.warn(`Unable to write the Kroki response in the cache directory '${this.dirPath}'. ${e.message}`)
+    }
+  }
+
+  /**
+   * Remove the expired entries and the least recently used entries until the size of the cache is below the maximum size.
+   * This function is called once the document is converted (not on each write).
+   */
+  evict () {
+    if (typeof this.maxSize === 'undefined' && typeof this.ttl === 'undefined') {
+      return
+    }
+    if (!fs.existsSync(this.dirPath)) {
+      return
+    }
+    const now = Date.now()
+    const entries = []
+    for (const fileName of fs.readdirSync(this.dirPath)) {
+      const filePath = path.join(this.dirPath, fileName)
+      const stats = fs.statSync(filePath)
+      if (!stats.isFile()) {
+        continue
+      }
+      if (this.isExpired(stats, now)) {
+        this.remove(filePath)
+      } else {
+        entries.push({ filePath, size: stats.size, lastAccess: Math.max(stats.atimeMs, stats.mtimeMs) })
+      }
+    }
+    if (typeof this.maxSize === 'undefined') {
+      return
+    }
+    let size = entries.reduce((total, entry) => total + entry.size, 0)
+    entries.sort((a, b) => a.lastAccess - b.lastAccess)
+    for (const entry of entries) {
+      if (size <= this.maxSize) {
+        break
+      }
+      this.remove(entry.filePath)
+      size -= entry.size
+    }
+  }
+
+  remove (filePath) {
+    try {
+      fs.unlinkSync(filePath)
+    } catch (e) {
+      // ignore, the file might have been removed by another process
+    }
+  }
+}
+
+/**
+ * Create a cache from the document attributes.
+ *
+ * @param doc - Asciidoctor document
+ * @returns {KrokiCache|undefined} - the cache or undefined if the kroki-cache-dir attribute is not defined
+ */
+const fromDocument = (doc) => {
+  const cacheDir = doc.getAttribute('kroki-cache-dir')
+  if (!cacheDir) {
+    return undefined
+  }
+  const maxSizeValue = doc.getAttribute('kroki-cache-max-size')
+  const maxSize = parseSize(maxSizeValue)
+  if (typeof maxSizeValue !== 'undefined' && typeof maxSize === 'undefined') {
+    console.warn(`Invalid value '${maxSizeValue}' for kroki-cache-max-size attribute. The value must be a size in bytes, optionally followed by a unit (k, m or g). Proceeding without size limit.`)
+  }
+  const ttlValue = doc.getAttribute('kroki-cache-ttl')
+  let ttl
+  if (typeof ttlValue !== 'undefined') {
+    ttl = parseInt(ttlValue, 10)
+    if (isNaN(ttl) || ttl < 0) {
+      console.warn(`Invalid value '${ttlValue}' for kroki-cache-ttl attribute. The value must be a number of seconds. Proceeding without expiration.`)
+      ttl = undefined
+    }
+  }
+  return new KrokiCache(path.resolve(doc.getBaseDir(), cacheDir), maxSize, ttl)
+}
+
+module.exports = {
+  KrokiCache,
+  fromDocument,
+  parseSize
+}
@@ -0,0 +1,106 @@
+// @ts-check
+const blockdiagOptions = ['antialias', 'no-transparency', 'size', 'no-doctype']
+const plantumlOptions = ['theme', 'no-metadata']
+
+// The diagram options documented by Kroki that can be defined as (unprefixed) block attributes, by diagram type.
+// The other block attributes are used by Asciidoctor or by this extension and are never sent to Kroki,
+// unless they use the "kroki-option-" prefix.
+const knownDiagramOptions = {
+  actdiag: blockdiagOptions,
+  blockdiag: blockdiagOptions,
+  c4plantuml: plantumlOptions,
+  d2: ['theme', 'layout', 'sketch'],
+  ditaa: ['no-antialias', 'no-separation', 'round-corners', 'scale', 'no-shadows', 'tabs', 'transparent'],
+  graphviz: ['layout', /^(?:graph|node|edge)-attribute-.+$/],
+  mermaid: ['theme'],
+  nwdiag: blockdiagOptions,
+  packetdiag: blockdiagOptions,
+  plantuml: plantumlOptions,
+  rackdiag: blockdiagOptions,
+  seqdiag: blockdiagOptions,
+  structurizr: ['view-key', 'output'],
+  svgbob: ['background', 'fill-color', 'font-family', 'font-size', 'scale', 'stroke-width']
+}
+
+const diagramOptionPrefix = 'kroki-option-'
+
+/**
+ * Parse a list of diagram options, for instance: "layout=neato, theme=dark".
+ *
+ * @param {string|undefined} value - list of diagram options
+ * @param {string} attributeName - name of the attribute that defines the list (used to report errors)
+ * @returns {Object<string, string>}
+ */
+function parseDiagramOptions (value, attributeName) {
+  const options = {}
+  if (typeof value === 'undefined' || value === null) {
+    return options
+  }
+  for (const entry of `${value}`.split(',')) {
+    const separatorIndex = entry.indexOf('=')
+    if (separatorIndex === -1) {
+      if (entry.trim() !== '') {
+        console.warn(`Invalid diagram option '${entry.trim()}' in ${attributeName} attribute. The value must use the following syntax: 'name=value'. Ignoring this option.`)
+      }
+      continue
+    }
+    const name = entry.substring(0, separatorIndex).trim()
+    if (name !== '') {
+      options[name] = entry.substring(separatorIndex + 1).trim()
+    }
+  }
+  return options
+}
+
+/**
+ * @param {string} diagramType - Kroki diagram type
+ * @param {string} name - attribute name
+ * @returns {string|undefined} - the name of the diagram option defined by the block attribute or undefined if the block attribute is not a diagram option
+ */
+function getDiagramOptionName (diagramType, name) {
+  if (name.startsWith(diagramOptionPrefix)) {
+    return name.substring(diagramOptionPrefix.length) || undefined
+  }
+  const knownOptions = knownDiagramOptions[diagramType] || []
+  if (knownOptions.some((option) => typeof option === 'string' ? option === name : option.test(name))) {
+    return name
+  }
+  return undefined
+}
+
+/**
+ * Resolve the diagram options sent to the Kroki server.
+ *
+ * The options defined in the "kroki-diagram-options" document attribute are applied first,
+ * then the options defined in the "kroki-diagram-options-<type>" document attribute
+ * and finally the block attributes that are known diagram options of the diagram type
+ * or that use the "kroki-option-" prefix (e.g. "kroki-option-layout").
+ *
+ * @param {any} doc - Asciidoctor document
+ * @param {string} diagramType - Kroki diagram type
+ * @param {Object<string, any>} attrs - block attributes
+ * @returns {Object<string, string>} - the diagram options sorted by name
+ */
+function resolveDiagramOptions (doc, diagramType, attrs = {}) {
+  const options = Object.assign(
+    parseDiagramOptions(doc.getAttribute('kroki-diagram-options'), 'kroki-diagram-options'),
+    parseDiagramOptions(doc.getAttribute(`kroki-diagram-options-${diagramType}`), `kroki-diagram-options-${diagramType}`)
+  )
+  for (const [name, value] of Object.entries(attrs)) {
+    const optionName = getDiagramOptionName(diagramType, name)
+    if (optionName && typeof value !== 'undefined' && value !== null) {
+      options[optionName] = `${value}`
+    }
+  }
+  // sort the options, so the same options always produce the same URI
+  const sortedOptions = {}
+  for (const name of Object.keys(options).sort()) {
+    sortedOptions[name] = options[name]
+  }
+  return sortedOptions
+}
+
+module.exports = {
+  parseDiagramOptions,
+  resolveDiagramOptions
+}
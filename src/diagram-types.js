@@ -0,0 +1,220 @@
+// @ts-check
+// The diagram types supported by default (i.e. registered as blocks and block macros)
+const defaultDiagramTypes = ['plantuml', 'ditaa', 'graphviz', 'blockdiag', 'seqdiag', 'actdiag', 'nwdiag', 'packetdiag', 'rackdiag', 'c4plantuml', 'erd', 'mermaid', 'nomnoml', 'svgbob', 'umlet', 'vega', 'vegalite', 'wavedrom', 'bytefield', 'bpmn']
+
+// The output formats supported by each diagram type
+// see: https://kroki.io/#support
+const blockDiagFormats = ['png', 'svg', 'pdf']
+const plantUmlFormats = ['png', 'svg', 'pdf', 'txt', 'atxt', 'utxt', 'base64']
+const diagramFormats = {
+  actdiag: blockDiagFormats,
+  blockdiag: blockDiagFormats,
+  bpmn: ['svg'],
+  bytefield: ['svg'],
+  c4plantuml: plantUmlFormats,
+  dbml: ['svg'],
+  d2: ['svg'],
+  ditaa: ['png', 'svg'],
+  erd: ['png', 'svg', 'jpeg', 'pdf'],
+  excalidraw: ['svg'],
+  graphviz: ['png', 'svg', 'jpeg', 'pdf'],
+  mermaid: ['png', 'svg'],
+  nomnoml: ['svg'],
+  nwdiag: blockDiagFormats,
+  packetdiag: blockDiagFormats,
+  pikchr: ['svg'],
+  plantuml: plantUmlFormats,
+  rackdiag: blockDiagFormats,
+  seqdiag: blockDiagFormats,
+  structurizr: plantUmlFormats,
+  svgbob: ['svg'],
+  symbolator: ['svg'],
+  tikz: ['png', 'svg', 'jpeg', 'pdf'],
+  umlet: ['png', 'svg', 'jpeg'],
+  vega: ['png', 'svg', 'pdf'],
+  vegalite: ['png', 'svg', 'pdf'],
+  wavedrom: ['svg'],
+  wireviz: ['png', 'svg']
+}
+
+// The media type, file extension and response encoding of each output format
+// the base64 format is a PNG image encoded in base64 (i.e. the response is decoded before the image is saved)
+const textFormat = { mediaType: 'text/plain; charset=utf-8', encoding: 'utf8' }
+const outputFormats = {
+  svg: { mediaType: 'image/svg+xml', extension: 'svg', encoding: 'binary' },
+  png: { mediaType: 'image/png', extension: 'png', encoding: 'binary' },
+  jpeg: { mediaType: 'image/jpeg', extension: 'jpeg', encoding: 'binary' },
+  pdf: { mediaType: 'application/pdf', extension: 'pdf', encoding: 'binary' },
+  base64: { mediaType: 'image/png', extension: 'png', encoding: 'utf8', base64: true },
+  txt: Object.assign({ extension: 'txt' }, textFormat),
+  atxt: Object.assign({ extension: 'atxt' }, textFormat),
+  utxt: Object.assign({ extension: 'utxt' }, textFormat)
+}
+
+/**
+ * Get the media type, the file extension and the response encoding of an output format.
+ *
+ * @param {string} format - output format
+ * @returns {{mediaType: string, extension: string, encoding: string, base64: boolean|undefined}}
+ */
+function getOutputFormat (format) {
+  return outputFormats[format] || { mediaType: 'application/octet-stream', extension: format, encoding: 'binary' }
+}
+
+/**
+ * Get the output formats supported by a diagram type.
+ *
+ * The formats defined in the "diagramFormats" option (from the register context) take precedence over the built-in capability matrix.
+ *
+ * @param {string} diagramType - Kroki diagram type
+ * @param {any} context - register context
+ * @returns {string[]|undefined} - the supported formats or undefined if the diagram type is unknown
+ */
+function getSupportedFormats (diagramType, context = {}) {
+  const customFormats = context.diagramFormats
+  if (customFormats && Array.isArray(customFormats[diagramType])) {
+    return customFormats[diagramType]
+  }
+  return diagramFormats[diagramType]
+}
+
+/**
+ * Parse a list of diagram types.
+ *
+ * The list can either be an array or a comma-separated string, for instance: "d2, structurizr, -bpmn".
+ * A name prefixed by "-" will remove the diagram type from the list, otherwise the diagram type will be added.
+ *
+ * @param {string|string[]|undefined} value - list of diagram types
+ * @returns {{name: string, remove: boolean}[]}
+ */
+function parseDiagramTypes (value) {
+  if (typeof value === 'undefined' || value === null) {
+    return []
+  }
+  const entries = Array.isArray(value) ? value : `${value}`.split(',')
+  return entries
+    .map((entry) => `${entry}`.trim())
+    .filter((entry) => entry !== '')
+    .map((entry) => {
+      if (entry.startsWith('-')) {
+        return { name: entry.substr(1).trim(), remove: true }
+      }
+      if (entry.startsWith('+')) {
+        return { name: entry.substr(1).trim(), remove: false }
+      }
+      return { name: entry, remove: false }
+    })
+}
+
+/**
+ * Resolve the diagram types to register.
+ *
+ * The default diagram types are used as a baseline,
+ * then the diagram types defined in the "diagramTypes" option (from the register context) are applied
+ * and finally the diagram types defined in the "kroki-diagram-types" document attribute are applied.
+ *
+ * @param {any} context - register context
+ * @param {any} doc - Asciidoctor document (optional)
+ * @returns {string[]} - the diagram types
+ */
+function resolveDiagramTypes (context = {}, doc) {
+  const names = defaultDiagramTypes.slice()
+  const changes = parseDiagramTypes(context.diagramTypes)
+  if (doc && typeof doc.getAttribute === 'function') {
+    changes.push(...parseDiagramTypes(doc.getAttribute('kroki-diagram-types')))
+  }
+  for (const change of changes) {
+    const index = names.indexOf(change.name)
+    if (change.remove) {
+      if (index !== -1) {
+        names.splice(index, 1)
+      }
+    } else if (index === -1) {
+      names.push(change.name)
+    }
+  }
+  return names
+}
+
+/**
+ * Parse a table of aliases.
+ *
+ * The table can either be an object or a comma-separated string, for instance: "puml=plantuml, dot=graphviz".
+ *
+ * @param {string|Object<string, string>|undefined} value - table of aliases
+ * @returns {Object<string, string>} - a table where the key is the alias name and the value is the Kroki diagram type
+ */
+function parseDiagramAliases (value) {
+  const aliases = {}
+  if (typeof value === 'undefined' || value === null) {
+    return aliases
+  }
+  if (typeof value === 'object') {
+    for (const [name, type] of Object.entries(value)) {
+      aliases[name.trim()] = `${type}`.trim()
+    }
+    return aliases
+  }
+  for (const entry of `${value}`.split(',')) {
+    const separatorIndex = entry.indexOf('=')
+    if (separatorIndex === -1) {
+      if (entry.trim() !== '') {
+        console.warn(`Invalid alias '${entry.trim()}' in kroki-diagram-aliases attribute. The value must use the following syntax: 'name=type'. Ignoring this alias.`)
+      }
+      continue
+    }
+    const name = entry.substring(0, separatorIndex).trim()
+    const type = entry.substring(separatorIndex + 1).trim()
+    if (name !== '' && type !== '') {
+      aliases[name] = type
+    }
+  }
+  return aliases
+}
+
+/**
+ * Resolve the aliases to register.
+ *
+ * The aliases defined in the "diagramAliases" option (from the register context) are applied first
+ * and then the aliases defined in the "kroki-diagram-aliases" document attribute are applied.
+ *
+ * @param {any} context - register context
+ * @param {any} doc - Asciidoctor document (optional)
+ * @returns {Object<string, string>} - a table where the key is the alias name and the value is the Kroki diagram type
+ */
+function resolveDiagramAliases (context = {}, doc) {
+  const aliases = parseDiagramAliases(context.diagramAliases)
+  if (doc && typeof doc.getAttribute === 'function') {
+    Object.assign(aliases, parseDiagramAliases(doc.getAttribute('kroki-diagram-aliases')))
+  }
+  return aliases
+}
+
+/**
+ * Resolve the block and block macro names to register with their corresponding Kroki diagram type.
+ *
+ * @param {any} context - register context
+ * @param {any} doc - Asciidoctor document (optional)
+ * @returns {{name: string, type: string}[]}
+ */
+function resolveDiagramNames (context = {}, doc) {
+  const aliases = resolveDiagramAliases(context, doc)
+  const names = resolveDiagramTypes(context, doc)
+    .filter((name) => !(name in aliases))
+    .map((name) => ({ name, type: name }))
+  for (const [name, type] of Object.entries(aliases)) {
+    names.push({ name, type })
+  }
+  return names
+}
+
+module.exports = {
+  defaultDiagramTypes,
+  getOutputFormat,
+  getSupportedFormats,
+  parseDiagramTypes,
+  resolveDiagramTypes,
+  parseDiagramAliases,
+  resolveDiagramAliases,
+  resolveDiagramNames
+}
@@ -1,5 +1,8 @@
-const rusha = require('rusha')
+const fs = require('fs')
 const path = require('path')
+const mkdirp = require('mkdirp')
+const rusha = require('rusha')
+const { getOutputFormat } = require('./diagram-types.js')
 
 const getDirPath = (doc) => {
   const imagesOutputDir = doc.getAttribute('imagesoutdir')
@@ -20,35 +23,362 @@ const getDirPath = (doc) => {
   return dirPath
 }
 
-module.exports.save = function (krokiDiagram, doc, target, vfs, krokiClient) {
-  const exists = typeof vfs !== 'undefined' && typeof vfs.exists === 'function' ? vfs.exists : require('./node-fs.js').exists
-  const read = typeof vfs !== 'undefined' && typeof vfs.read === 'function' ? vfs.read : require('./node-fs.js').read
-  const add = typeof vfs !== 'undefined' && typeof vfs.add === 'function' ? vfs.add : require('./node-fs.js').add
+const defaultFilenamePattern = '{name}'
+
+// directory where the checksums of the diagram files and the diagram files used by each document are stored (outside the images output directory, so they are not published)
+const defaultStateDir = '.asciidoctor/kroki-fetch'
+
+/**
+ * @param doc - Asciidoctor document
+ * @returns {string} - the absolute path of the directory defined by the kroki-fetch-state-dir attribute (resolved from the base directory)
+ */
+const getStateDirPath = (doc) => path.resolve(doc.getBaseDir(), doc.getAttribute('kroki-fetch-state-dir') || defaultStateDir)
+
+const getFilenamePattern = (doc) => {
+  const pattern = doc.getAttribute('kroki-fetch-filename')
+  if (typeof pattern === 'undefined' || pattern === null || pattern === '') {
+    return defaultFilenamePattern
+  }
+  if (!pattern.includes('{name}') && !pattern.includes('{hash}')) {
+    console.warn(`Invalid value '${pattern}' for kroki-fetch-filename attribute. The value must contain the {name} or the {hash} placeholder. Proceeding using: '${defaultFilenamePattern}'.`)
+    return defaultFilenamePattern
+  }
+  return pattern
+}
+
+const sanitizeName = (name) => name.replace(/[^\w.-]+/g, '-').replace(/^[.-]+|-+$/g, '')
+
+/**
+ * Get the name of a diagram from its target (block target, block id or block macro target).
+ * The directories, the extension and the query string of a block macro target are removed (for instance: "diagrams/architecture-overview.puml" gives "architecture-overview").
+ *
+ * @param {string|undefined} target
+ * @returns {string|undefined}
+ */
+const getName = (target) => {
+  if (typeof target === 'undefined' || target === null || target === '') {
+    return undefined
+  }
+  const basename = `${target}`.replace(/[?#].*$/, '').split(/[\\/]/).pop()
+  const name = sanitizeName(basename.substring(0, basename.length - path.extname(basename).length) || basename)
+  return name === '' ? undefined : name
+}
+
+// diagram file names (and their hashes) used by (root) document
+const diagramFileNames = new WeakMap()
+
+// hashes and owners of the diagram files used by the documents converted in this process (by absolute file path)
+const diagramFileOwners = new Map()
+
+/**
+ * Get the owner of the diagram files of a document: the document file (or name) or the document itself when converted from a string.
+ *
+ * @returns {string|any}
+ */
+const getOwner = (rootDocument) => rootDocument.getAttribute('docfile') || rootDocument.getAttribute('docname') || rootDocument
+
+/**
+ * Read the checksum file of a diagram file: the path of the diagram file, the hash of the diagram and the documents that use the file.
+ *
+ * @returns {{file: string, hash: string, owners: string[]}|undefined}
+ */
+const readChecksum = (checksumPath) => {
+  try {
+    const { file, hash, owners } = JSON.parse(fs.readFileSync(checksumPath, 'utf8'))
+    return { file, hash, owners: Array.isArray(owners) ? owners : [] }
+  } catch (e) {
+    return undefined
+  }
+}
 
+/**
+ * @returns {string} - the path of the checksum file of a diagram file in the directory defined by the kroki-fetch-state-dir attribute
+ */
+const getChecksumPath = (doc, filePath) => path.join(getStateDirPath(doc), 'checksums', `${rusha.createHash().update(path.resolve(filePath)).digest('hex')}.json`)
+
+/**
+ * @returns {boolean} - true if the diagram file is used by another document for a different diagram
+ * (during this conversion or, for the named diagram files, during a previous conversion)
+ */
+const isUsedByAnotherDocument = (filePath, checksumPath, hash, owner) => {
+  const used = diagramFileOwners.get(path.resolve(filePath))
+  if (typeof used !== 'undefined') {
+    return used.owner !== owner && used.hash !== hash
+  }
+  const checksum = typeof checksumPath !== 'undefined' ? readChecksum(checksumPath) : undefined
+  return typeof checksum !== 'undefined' && checksum.hash !== hash && checksum.owners.some((other) => other !== owner)
+}
+
+const getDiagramFile = (krokiDiagram, doc, target) => {
   const dirPath = getDirPath(doc)
-  const diagramUrl = krokiDiagram.getDiagramUri(krokiClient.getServerUrl())
-  const format = krokiDiagram.format
-  const diagramName = `diag-${rusha.createHash().update(diagramUrl).digest('hex')}.${format}`
+  const { mediaType, extension, encoding, base64 } = getOutputFormat(krokiDiagram.format)
+  const hash = krokiDiagram.getHash()
+  const name = getName(target)
+  const stem = sanitizeName(getFilenamePattern(doc).replace(/\{(\w+)\}/g, (placeholder, key) => {
+    switch (key) {
+      case 'name':
+        return name || `diag-${hash}`
+      case 'hash':
+        return hash
+      case 'type':
+        return krokiDiagram.type
+      case 'format':
+        return krokiDiagram.format
+      case 'docname':
+        return doc.getAttribute('docname') || ''
+      default:
+        return placeholder
+    }
+  }))
+  // the file name of a named diagram does not change when the diagram is modified
+  const named = !stem.includes(hash)
+  let diagramName = `${stem}.${extension}`
+  // two different diagrams can have the same name (for instance, the same block macro target with different options or the same block id in two documents)
+  const rootDocument = getRootDocument(doc)
+  const owner = getOwner(rootDocument)
+  const fileNames = diagramFileNames.get(rootDocument) || new Map()
+  diagramFileNames.set(rootDocument, fileNames)
+  if ((fileNames.has(diagramName) && fileNames.get(diagramName) !== hash) ||
+    isUsedByAnotherDocument(path.join(dirPath, diagramName), named ? getChecksumPath(doc, path.join(dirPath, diagramName)) : undefined, hash, owner)) {
+    const uniqueDiagramName = `${stem}-${hash.substring(0, 8)}.${extension}`
+    console.warn(`The diagram file name '${diagramName}' is already used by another diagram. Proceeding using: '${uniqueDiagramName}'.`)
+    diagramName = uniqueDiagramName
+  }
+  fileNames.set(diagramName, hash)
   const filePath = path.format({ dir: dirPath, base: diagramName })
-  let encoding
-  let mediaType
-  if (format === 'txt' || format === 'atxt' || format === 'utxt') {
-    mediaType = 'text/plain; charset=utf-8'
-    encoding = 'utf8'
-  } else if (format === 'svg') {
-    mediaType = 'image/svg+xml'
-    encoding = 'binary'
-  } else {
-    mediaType = 'image/png'
-    encoding = 'binary'
+  diagramFileOwners.set(path.resolve(filePath), { hash, owner })
+  const checksumPath = getChecksumPath(doc, filePath)
+  return { dirPath, diagramName, filePath, mediaType, encoding, base64, hash, owner, named, checksumPath }
+}
+
+/**
+ * @returns {boolean} - true if the diagram file exists and was produced from the same diagram
+ */
+const isUpToDate = (exists, diagramFile) => {
+  if (!exists(diagramFile.filePath)) {
+    return false
   }
-  // file is either (already) on the file system or we should read it from Kroki
-  const contents = exists(filePath) ? read(filePath, encoding) : krokiClient.getImage(krokiDiagram, encoding)
+  if (!diagramFile.named) {
+    // the name of the diagram file contains the hash
+    return true
+  }
+  const checksum = readChecksum(diagramFile.checksumPath)
+  return typeof checksum !== 'undefined' && checksum.hash === diagramFile.hash
+}
+
+const writeChecksum = (diagramFile) => {
+  const checksum = readChecksum(diagramFile.checksumPath)
+  // the documents that use the previous version of the diagram file no longer own it
+  const owners = typeof checksum !== 'undefined' && checksum.hash === diagramFile.hash ? checksum.owners : []
+  if (typeof diagramFile.owner === 'string' && !owners.includes(diagramFile.owner)) {
+    owners.push(diagramFile.owner)
+  }
+  mkdirp.sync(path.dirname(diagramFile.checksumPath))
+  fs.writeFileSync(diagramFile.checksumPath, JSON.stringify({ file: path.resolve(diagramFile.filePath), hash: diagramFile.hash, owners }), 'utf8')
+}
+
+/**
+ * @returns {string} - the path of the file that lists the diagram files used by a document in the directory defined by the kroki-fetch-state-dir attribute
+ */
+const getDocumentFilesPath = (doc, owner) => path.join(getStateDirPath(doc), 'documents', `${rusha.createHash().update(owner).digest('hex')}.json`)
+
+/**
+ * @returns {string[]} - the absolute paths of the diagram files used by a document during the previous conversion
+ */
+const readDocumentFiles = (documentFilesPath) => {
+  try {
+    const { files } = JSON.parse(fs.readFileSync(documentFilesPath, 'utf8'))
+    return Array.isArray(files) ? files : []
+  } catch (e) {
+    return []
+  }
+}
+
+/**
+ * Convert the response returned by the Kroki server into the contents of the diagram file.
+ *
+ * @returns {Buffer}
+ */
+const getContents = (diagramFile, response) => {
+  if (diagramFile.base64) {
+    return Buffer.from(response.trim(), 'base64')
+  }
+  return Buffer.from(response, diagramFile.encoding)
+}
+
+// the diagram files are always read as binary (the base64 format is saved as a PNG image)
+const readDiagramFile = (read, diagramFile) => Buffer.from(read(diagramFile.filePath, 'binary'), 'binary')
+
+const getVfs = (vfs) => {
+  const nodeFs = require('./node-fs.js')
+  const exists = typeof vfs !== 'undefined' && typeof vfs.exists === 'function' ? vfs.exists : nodeFs.exists
+  const read = typeof vfs !== 'undefined' && typeof vfs.read === 'function' ? vfs.read : nodeFs.read
+  const add = typeof vfs !== 'undefined' && typeof vfs.add === 'function' ? vfs.add : nodeFs.add
+  // the checksums are only stored when the diagram files are written on the file system
+  return { exists, read, add, fileSystem: add === nodeFs.add }
+}
+
+// diagram files saved on the file system by (root) document (see collectGarbage)
+const savedDiagramFiles = new WeakMap()
+
+const trackDiagramFile = (doc, diagramFile) => {
+  const rootDocument = getRootDocument(doc)
+  const filePaths = savedDiagramFiles.get(rootDocument) || new Set()
+  filePaths.add(path.resolve(diagramFile.filePath))
+  savedDiagramFiles.set(rootDocument, filePaths)
+}
+
+const addDiagramFile = (doc, { add, fileSystem }, diagramFile, contents) => {
   add({
-    relative: dirPath,
-    basename: diagramName,
-    mediaType: mediaType,
-    contents: Buffer.from(contents, encoding)
+    relative: diagramFile.dirPath,
+    basename: diagramFile.diagramName,
+    mediaType: diagramFile.mediaType,
+    contents
   })
-  return diagramName
+  if (fileSystem) {
+    writeChecksum(diagramFile)
+    // the file is only tracked once written, a diagram that could not be fetched is not saved
+    trackDiagramFile(doc, diagramFile)
+  }
+}
+
+module.exports.save = function (krokiDiagram, doc, target, vfs, krokiClient) {
+  const diagramVfs = getVfs(vfs)
+  const diagramFile = getDiagramFile(krokiDiagram, doc, target)
+  // file is either (already) on the file system or we should read it from Kroki
+  const contents = isUpToDate(diagramVfs.exists, diagramFile) ? readDiagramFile(diagramVfs.read, diagramFile) : getContents(diagramFile, krokiClient.getImage(krokiDiagram, diagramFile.encoding))
+  addDiagramFile(doc, diagramVfs, diagramFile, contents)
+  return diagramFile.diagramName
+}
+
+// pending diagrams by (root) document
+const pendingDiagrams = new WeakMap()
+
+const getRootDocument = (doc) => {
+  let rootDocument = doc
+  while (rootDocument.getParentDocument()) {
+    rootDocument = rootDocument.getParentDocument()
+  }
+  return rootDocument
+}
+
+/**
+ * Save the diagram later, when the pending diagrams are fetched concurrently (see fetchPending).
+ * If the diagram already exists, it is saved immediately.
+ *
+ * @returns {string} - the diagram file name
+ */
+module.exports.saveLater = function (krokiDiagram, doc, target, vfs, krokiClient) {
+  const diagramVfs = getVfs(vfs)
+  const diagramFile = getDiagramFile(krokiDiagram, doc, target)
+  if (isUpToDate(diagramVfs.exists, diagramFile)) {
+    addDiagramFile(doc, diagramVfs, diagramFile, readDiagramFile(diagramVfs.read, diagramFile))
+  } else {
+    const rootDocument = getRootDocument(doc)
+    const pending = pendingDiagrams.get(rootDocument) || []
+    pending.push({ krokiDiagram, krokiClient, diagramFile, diagramVfs })
+    pendingDiagrams.set(rootDocument, pending)
+  }
+  return diagramFile.diagramName
+}
+
+/**
+ * Fetch the pending diagrams of a document concurrently and save them.
+ *
+ * @param doc - Asciidoctor (root) document
+ * @param {number} concurrency - maximum number of concurrent requests
+ * @returns {{diagramName: string, error: Error}[]} - the diagrams that could not be fetched
+ */
+module.exports.fetchPending = function (doc, concurrency) {
+  const pending = pendingDiagrams.get(doc) || []
+  pendingDiagrams.delete(doc)
+  // the same diagram can be used more than once
+  const diagrams = []
+  for (const diagram of pending) {
+    if (!diagrams.some((other) => other.diagramFile.filePath === diagram.diagramFile.filePath)) {
+      diagrams.push(diagram)
+    }
+  }
+  const failures = []
+  // group by encoding since the response encoding applies to the whole batch
+  for (const encoding of new Set(diagrams.map((diagram) => diagram.diagramFile.encoding))) {
+    const batch = diagrams.filter((diagram) => diagram.diagramFile.encoding === encoding)
+    const results = batch[0].krokiClient.getImages(batch.map((diagram) => diagram.krokiDiagram), encoding, concurrency)
+    results.forEach((result, index) => {
+      const { diagramFile, diagramVfs } = batch[index]
+      if (result.error) {
+        failures.push({ diagramName: diagramFile.diagramName, error: result.error })
+      } else {
+        addDiagramFile(doc, diagramVfs, diagramFile, getContents(diagramFile, result.data))
+      }
+    })
+  }
+  return failures
+}
+
+const removeFile = (filePath) => {
+  try {
+    fs.unlinkSync(filePath)
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.warn(`Unable to delete the stale file '${filePath}'. ${e.message}`)
+    }
+  }
+}
+
+const writeStateFile = (filePath, value) => {
+  try {
+    mkdirp.sync(path.dirname(filePath))
+    fs.writeFileSync(filePath, JSON.stringify(value), 'utf8')
+  } catch (e) {
+    console.warn(`Unable to write the file '${filePath}'. ${e.message}`)
+  }
+}
+
+/**
+ * Find the fetched diagram files (named "diag-*") that were used by a document during its previous conversion
+ * but were not saved during this conversion, and delete them unless they are used by another document.
+ * The checksums of the diagram files that are no longer used are also deleted.
+ * The documents converted from a string without a docname attribute cannot be identified, their diagram files are never deleted.
+ *
+ * @param doc - Asciidoctor (root) document
+ * @param {boolean} dryRun - if true, the stale files are not deleted
+ * @returns {string[]} - the paths of the stale diagram files
+ */
+module.exports.collectGarbage = function (doc, dryRun) {
+  const filePaths = savedDiagramFiles.get(doc) || new Set()
+  savedDiagramFiles.delete(doc)
+  const owner = getOwner(doc)
+  if (typeof owner !== 'string') {
+    return []
+  }
+  const documentFilesPath = getDocumentFilesPath(doc, owner)
+  const unusedFilePaths = readDocumentFiles(documentFilesPath).filter((filePath) => !filePaths.has(filePath))
+  const staleFilePaths = []
+  for (const filePath of unusedFilePaths) {
+    const checksumPath = getChecksumPath(doc, filePath)
+    const checksum = readChecksum(checksumPath)
+    const owners = typeof checksum !== 'undefined' ? checksum.owners.filter((other) => other !== owner) : []
+    // the file can also be used by a document converted from a string in this process
+    const used = diagramFileOwners.get(filePath)
+    const stale = owners.length === 0 && (typeof used === 'undefined' || used.owner === owner)
+    if (stale && path.basename(filePath).startsWith('diag-') && fs.existsSync(filePath)) {
+      staleFilePaths.push(filePath)
+    }
+    if (dryRun) {
+      continue
+    }
+    if (stale) {
+      removeFile(checksumPath)
+    } else if (typeof checksum !== 'undefined') {
+      writeStateFile(checksumPath, Object.assign(checksum, { owners }))
+    }
+  }
+  if (!dryRun) {
+    staleFilePaths.forEach(removeFile)
+  }
+  // the unused files are kept in the list until they are deleted
+  const files = dryRun ? [...filePaths, ...unusedFilePaths] : [...filePaths]
+  writeStateFile(documentFilesPath, { document: owner, files })
+  return staleFilePaths
 }
@@ -1,8 +1,8 @@
 /* global XMLHttpRequest */
 const httpClient = require('./http-client.js')
 
-const httpPost = (uri, body, encoding = 'utf8') => httpClient.post(XMLHttpRequest, uri, body, encoding)
-const httpGet = (uri, encoding = 'utf8') => httpClient.get(XMLHttpRequest, uri, encoding)
+const httpPost = (uri, body, encoding = 'utf8', options = {}) => httpClient.post(XMLHttpRequest, uri, body, encoding, options)
+const httpGet = (uri, encoding = 'utf8', options = {}) => httpClient.get(XMLHttpRequest, uri, encoding, options)
 
 module.exports = {
   get: httpGet,
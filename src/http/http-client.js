@@ -1,24 +1,26 @@
-const httpRequest = (XMLHttpRequest, uri, method, encoding = 'utf8', body) => {
+const httpRequest = (XMLHttpRequest, uri, method, encoding = 'utf8', body, options = {}) => {
   let data = ''
   let status = -1
   try {
     const xhr = new XMLHttpRequest()
     xhr.open(method, uri, false)
+    const headers = options.headers || {}
+    for (const name of Object.keys(headers)) {
+      xhr.setRequestHeader(name, headers[name])
+    }
     if (encoding === 'binary') {
       xhr.responseType = 'arraybuffer'
     }
     xhr.addEventListener('load', function () {
       status = this.status
-      if (status === 200) {
-        if (encoding === 'binary') {
-          const arrayBuffer = xhr.response
-          const byteArray = new Uint8Array(arrayBuffer)
-          for (let i = 0; i < byteArray.byteLength; i++) {
-            data += String.fromCharCode(byteArray[i])
-          }
-        } else {
-          data = this.responseText
+      if (encoding === 'binary') {
+        const arrayBuffer = xhr.response
+        const byteArray = new Uint8Array(arrayBuffer)
+        for (let i = 0; i < byteArray.byteLength; i++) {
+          data += String.fromCharCode(byteArray[i])
         }
+      } else {
+        data = this.responseText
       }
     })
     if (body) {
@@ -27,21 +29,32 @@ const httpRequest = (XMLHttpRequest, uri, method, encoding = 'utf8', body) => {
       xhr.send()
     }
   } catch (e) {
-    throw new Error(`${method} ${uri} - error; reason: ${e.message}`)
+    const error = new Error(`${method} ${uri} - error; reason: ${e.message}`)
+    error.status = 0
+    throw error
+  }
+  if (status > 0 && status !== 200) {
+    // the body usually contains the error message
+    const error = new Error(`${method} ${uri} - server returns a ${status} status code`)
+    error.status = status
+    error.body = data
+    throw error
   }
   // assume that no data means it doesn't exist
-  if (status === 404 || !data) {
-    throw new Error(`${method} ${uri} - server returns an empty response or a 404 status code`)
+  if (!data) {
+    const error = new Error(`${method} ${uri} - server returns an empty response`)
+    error.status = status
+    throw error
   }
   return data
 }
 
-const httpPost = (XMLHttpRequest, uri, body, encoding = 'utf8') => {
-  return httpRequest(XMLHttpRequest, uri, 'POST', encoding, body)
+const httpPost = (XMLHttpRequest, uri, body, encoding = 'utf8', options = {}) => {
+  return httpRequest(XMLHttpRequest, uri, 'POST', encoding, body, options)
 }
 
-const httpGet = (XMLHttpRequest, uri, encoding = 'utf8') => {
-  return httpRequest(XMLHttpRequest, uri, 'GET', encoding)
+const httpGet = (XMLHttpRequest, uri, encoding = 'utf8', options = {}) => {
+  return httpRequest(XMLHttpRequest, uri, 'GET', encoding, undefined, options)
 }
 
 module.exports = {
@@ -0,0 +1,122 @@
+// @ts-check
+const envPrefix = 'env:'
+
+/**
+ * Resolve a value from an environment variable when the value uses the syntax "env:NAME".
+ *
+ * Environment variables are only resolved when the value is trusted (i.e. not defined in the document),
+ * otherwise a document could send any secret of the build environment to the Kroki server of its choice.
+ *
+ * @param {string} value
+ * @param {string} source - where the value is defined (used to report errors)
+ * @param {boolean} trusted - true if the value is defined in the register context or from the CLI/API
+ * @returns {string|undefined} - the resolved value or undefined if the environment variable is not defined or cannot be read
+ */
+function resolveValue (value, source, trusted) {
+  value = `${value}`.trim()
+  if (!value.startsWith(envPrefix)) {
+    return value
+  }
+  const name = value.substr(envPrefix.length).trim()
+  if (!trusted) {
+    console.warn(`Environment variable '${name}' referenced by ${source} cannot be read because this attribute is defined in the document. Define this attribute from the CLI or the API to read environment variables. Ignoring this value.`)
+    return undefined
+  }
+  const env = typeof process !== 'undefined' && process.env ? process.env : {}
+  const resolvedValue = env[name]
+  if (typeof resolvedValue === 'undefined') {
+    console.warn(`Environment variable '${name}' referenced by ${source} is not defined. Ignoring this value.`)
+  }
+  return resolvedValue
+}
+
+/**
+ * Parse a list of headers, for instance: "X-Team: docs; Authorization: env:KROKI_AUTHORIZATION".
+ *
+ * @param {string|undefined} value
+ * @param {boolean} [trusted] - true if the environment variables can be read
+ * @returns {Object<string, string>}
+ */
+function parseHttpHeaders (value, trusted = false) {
+  const headers = {}
+  if (typeof value === 'undefined' || value === null) {
+    return headers
+  }
+  for (const entry of `${value}`.split(';')) {
+    if (entry.trim() === '') {
+      continue
+    }
+    const separatorIndex = entry.indexOf(':')
+    if (separatorIndex === -1) {
+      console.warn(`Invalid header '${entry.trim()}' in kroki-http-headers attribute. The value must use the following syntax: 'Name: value'. Ignoring this header.`)
+      continue
+    }
+    const name = entry.substring(0, separatorIndex).trim()
+    const headerValue = resolveValue(entry.substring(separatorIndex + 1), `the header '${name}' in kroki-http-headers attribute`, trusted)
+    if (name !== '' && typeof headerValue !== 'undefined') {
+      headers[name] = headerValue
+    }
+  }
+  return headers
+}
+
+/**
+ * Parse an authentication scheme, for instance: "bearer env:KROKI_TOKEN" or "basic env:KROKI_CREDENTIALS".
+ * The credentials of the basic scheme must use the following syntax: "user:password".
+ *
+ * @param {string|undefined} value
+ * @param {boolean} [trusted] - true if the environment variables can be read
+ * @returns {Object<string, string>} - the Authorization header (if any)
+ */
+function parseHttpAuth (value, trusted = false) {
+  if (typeof value === 'undefined' || value === null || `${value}`.trim() === '') {
+    return {}
+  }
+  const match = /^\s*(bearer|basic)\s+(.+)$/i.exec(`${value}`)
+  if (match === null) {
+    console.warn('Invalid value for kroki-http-auth attribute. The value must use the following syntax: \'bearer <token>\' or \'basic <user:password>\'. Ignoring this value.')
+    return {}
+  }
+  const scheme = match[1].toLowerCase()
+  const credentials = resolveValue(match[2], 'kroki-http-auth attribute', trusted)
+  if (typeof credentials === 'undefined') {
+    return {}
+  }
+  if (scheme === 'basic') {
+    return { Authorization: `Basic ${Buffer.from(credentials, 'utf8').toString('base64')}` }
+  }
+  return { Authorization: `Bearer ${credentials}` }
+}
+
+/**
+ * Resolve the HTTP headers to send to the Kroki server.
+ *
+ * The headers defined in the "httpHeaders" option (from the register context) are applied first,
+ * then the headers defined in the kroki-http-headers attribute
+ * and finally the Authorization header defined by the kroki-http-auth attribute.
+ * The attributes can only read environment variables when they are defined from the CLI or the API (i.e. locked).
+ *
+ * @param {any} doc - Asciidoctor document
+ * @param {Object<string, string>|undefined} httpHeaders - headers defined in the register context
+ * @returns {Object<string, string>}
+ */
+function resolveHttpHeaders (doc, httpHeaders) {
+  const headers = {}
+  if (httpHeaders && typeof httpHeaders === 'object') {
+    for (const [name, value] of Object.entries(httpHeaders)) {
+      const headerValue = resolveValue(value, `the header '${name}' in httpHeaders option`, true)
+      if (typeof headerValue !== 'undefined') {
+        headers[name] = headerValue
+      }
+    }
+  }
+  Object.assign(headers, parseHttpHeaders(doc.getAttribute('kroki-http-headers'), doc.isAttributeLocked('kroki-http-headers')))
+  Object.assign(headers, parseHttpAuth(doc.getAttribute('kroki-http-auth'), doc.isAttributeLocked('kroki-http-auth')))
+  return headers
+}
+
+module.exports = {
+  parseHttpHeaders,
+  parseHttpAuth,
+  resolveHttpHeaders
+}
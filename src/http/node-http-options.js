@@ -0,0 +1,33 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Resolve the network options of the Node HTTP client from the document attributes.
+ *
+ * The proxy defined by the kroki-http-proxy attribute takes precedence over the HTTPS_PROXY and HTTP_PROXY environment variables.
+ * The certificate authority defined by the kroki-tls-ca-file attribute is trusted in addition to the default ones.
+ *
+ * @param doc - Asciidoctor document
+ * @returns {{proxy: string|undefined, ca: string|undefined}}
+ */
+const fromDocument = (doc) => {
+  const options = {}
+  const proxy = doc.getAttribute('kroki-http-proxy')
+  if (proxy) {
+    options.proxy = proxy
+  }
+  const caFile = doc.getAttribute('kroki-tls-ca-file')
+  if (caFile) {
+    const caFilePath = path.resolve(doc.getBaseDir(), caFile)
+    try {
+      options.ca = fs.readFileSync(caFilePath, 'utf8')
+    } catch (e) {
+      console.warn(`Unable to read the certificate authority file '${caFilePath}' defined by kroki-tls-ca-file attribute. ${e.message}. Proceeding using the default certificate authorities.`)
+    }
+  }
+  return options
+}
+
+module.exports = {
+  fromDocument
+}
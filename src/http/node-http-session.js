@@ -0,0 +1,106 @@
+/* global Atomics, SharedArrayBuffer */
+const path = require('path')
+const { parseResults, createHttpClient } = require('./node-http.js')
+
+let workerThreads
+try {
+  workerThreads = require('worker_threads')
+} catch (e) {
+  // the worker threads are not available on Node.js 10 (without the --experimental-worker flag)
+}
+
+/**
+ * @returns {boolean} - true if the connections can be kept alive (Node.js >= 12.3)
+ */
+const isKeepAliveSupported = () => typeof workerThreads !== 'undefined' && typeof workerThreads.receiveMessageOnPort === 'function'
+
+// values of the signal shared with the worker thread (see node-request-worker.js)
+const WAITING = 0
+const ANSWERED = 1
+
+/**
+ * Get the maximum time to wait for the results of a batch.
+ * The requests are sent by groups of "concurrency" requests and each request can wait for the proxy, then for the Kroki server.
+ *
+ * @param {number} count - number of requests
+ * @param {number} concurrency - maximum number of concurrent requests
+ * @param {{timeout: number|undefined}} options - request options (timeout in milliseconds)
+ * @returns {number} - the time in milliseconds (Infinity if the requests have no timeout)
+ */
+const getWaitTimeout = (count, concurrency, options) => {
+  if (!options.timeout) {
+    return Infinity
+  }
+  // one more second to start the worker thread and to transfer the results
+  return 2 * options.timeout * Math.ceil(count / Math.max(concurrency, 1)) + 1000
+}
+
+/**
+ * Create a Node HTTP client that keeps the connections to the Kroki server alive between requests (see KrokiSession).
+ * The requests are sent from a worker thread while the calling thread waits for the results, since the HTTP client API is synchronous.
+ * The worker thread is started on the first request and stopped by the close function.
+ * It is started again if it stopped unexpectedly or did not answer in time.
+ *
+ * @param {string} workerFile - script of the worker thread (only used by the tests)
+ * @returns {{get: Function, post: Function, batch: Function, close: Function}}
+ */
+const createSessionHttpClient = (workerFile = path.join(__dirname, 'node-request-worker.js')) => {
+  const { Worker, MessageChannel, receiveMessageOnPort } = workerThreads
+  let worker
+  let port
+  let signal
+  const start = () => {
+    if (typeof worker !== 'undefined') {
+      return
+    }
+    const channel = new MessageChannel()
+    signal = new Int32Array(new SharedArrayBuffer(4))
+    port = channel.port1
+    const currentWorker = new Worker(workerFile, {
+      workerData: { signal, port: channel.port2 },
+      transferList: [channel.port2]
+    })
+    // the worker thread wakes up the calling thread when it exits, so a pending batch fails (see httpBatch)
+    currentWorker.on('error', () => {})
+    currentWorker.on('exit', () => {
+      if (worker === currentWorker) {
+        close()
+      }
+    })
+    // the worker thread does not prevent the process from exiting
+    currentWorker.unref()
+    port.unref()
+    worker = currentWorker
+  }
+  const httpBatch = (requests, encoding = 'utf8', concurrency = 1, options = {}) => {
+    if (requests.length === 0) {
+      return []
+    }
+    start()
+    Atomics.store(signal, 0, WAITING)
+    port.postMessage({ requests, concurrency, options })
+    const waitTimeout = getWaitTimeout(requests.length, concurrency, options)
+    const status = Atomics.wait(signal, 0, WAITING, waitTimeout)
+    const response = Atomics.load(signal, 0) === ANSWERED ? receiveMessageOnPort(port) : undefined
+    if (typeof response === 'undefined') {
+      const reason = status === 'timed-out' ? `timeout of ${waitTimeout}ms exceeded` : 'the worker thread stopped unexpectedly'
+      // a new worker thread is started on the next request
+      close()
+      return parseResults(requests.map(({ method, uri }) => ({ error: `${method} ${uri} - error; reason: ${reason}`, status: 0 })), encoding)
+    }
+    return parseResults(response.message, encoding)
+  }
+  const close = () => {
+    if (typeof worker !== 'undefined') {
+      worker.terminate()
+      port.close()
+      worker = undefined
+    }
+  }
+  return Object.assign(createHttpClient(httpBatch), { close })
+}
+
+module.exports = {
+  isKeepAliveSupported,
+  createSessionHttpClient
+}
@@ -1,10 +1,62 @@
-const XMLHttpRequest = require('unxhr').XMLHttpRequest
-const httpClient = require('./http-client.js')
+const path = require('path')
+const childProcess = require('child_process')
 
-const httpPost = (uri, body, encoding = 'utf8') => httpClient.post(XMLHttpRequest, uri, body, encoding)
-const httpGet = (uri, encoding = 'utf8') => httpClient.get(XMLHttpRequest, uri, encoding)
+/**
+ * Execute multiple requests concurrently and wait for the results.
+ *
+ * @param {{method: string, uri: string, body: string|undefined, headers: Object<string, string>|undefined}[]} requests - list of requests
+ * @param {string} encoding - response encoding
+ * @param {number} concurrency - maximum number of concurrent requests
+ * @param {{timeout: number|undefined, headers: Object<string, string>|undefined, proxy: string|undefined, ca: string|undefined}} options - request options (timeout in milliseconds, headers, proxy URL and certificate authority)
+ * @returns {{data: string|undefined, error: Error|undefined}[]} - the results in the same order as the requests
+ */
+const httpBatch = (requests, encoding = 'utf8', concurrency = 1, options = {}) => {
+  if (requests.length === 0) {
+    return []
+  }
+  const stdout = childProcess.execFileSync(process.execPath, [path.join(__dirname, 'node-request.js')], {
+    input: JSON.stringify({ requests, concurrency, options }),
+    maxBuffer: 1024 * 1024 * 1024
+  })
+  return parseResults(JSON.parse(stdout.toString('utf8')), encoding)
+}
+
+/**
+ * Convert the results returned by node-request.js (base64 data or error message).
+ *
+ * @returns {{data: string|undefined, error: Error|undefined}[]}
+ */
+const parseResults = (results, encoding) => results.map((result) => {
+  if (result.error) {
+    const error = new Error(result.error)
+    error.status = result.status
+    error.body = result.body
+    return { error }
+  }
+  return { data: Buffer.from(result.data, 'base64').toString(encoding) }
+})
 
-module.exports = {
-  get: httpGet,
-  post: httpPost
+/**
+ * Create an HTTP client (get, post and batch functions) from a batch function.
+ *
+ * @param httpBatch - function that executes multiple requests concurrently and waits for the results
+ */
+const createHttpClient = (httpBatch) => {
+  const httpRequest = (method, uri, body, encoding, options) => {
+    const [result] = httpBatch([{ method, uri, body }], encoding, 1, options)
+    if (result.error) {
+      throw result.error
+    }
+    return result.data
+  }
+  return {
+    get: (uri, encoding = 'utf8', options = {}) => httpRequest('GET', uri, undefined, encoding, options),
+    post: (uri, body, encoding = 'utf8', options = {}) => httpRequest('POST', uri, body, encoding, options),
+    batch: httpBatch
+  }
 }
+
+module.exports = Object.assign(createHttpClient(httpBatch), {
+  parseResults,
+  createHttpClient
+})
@@ -0,0 +1,35 @@
+/* global Atomics */
+// Send the requests of a session (see node-http-session.js) from a worker thread
+const http = require('http')
+const https = require('https')
+const { workerData } = require('worker_threads')
+const { run } = require('./node-request.js')
+
+const { signal, port } = workerData
+
+// values of the signal shared with the calling thread (see node-http-session.js)
+const ANSWERED = 1
+const STOPPED = 2
+
+// wake up the calling thread if the worker thread stops while a batch is pending (for instance, on an uncaught error)
+process.on('exit', () => {
+  Atomics.store(signal, 0, STOPPED)
+  Atomics.notify(signal, 0)
+})
+
+// the connections are kept alive between the requests of the session
+const agents = {
+  'http:': new http.Agent({ keepAlive: true }),
+  'https:': new https.Agent({ keepAlive: true })
+}
+
+port.on('message', ({ requests, concurrency, options }) => {
+  run(requests, concurrency, options || {}, agents)
+    .catch((e) => requests.map(({ method, uri }) => ({ error: `${method} ${uri} - error; reason: ${e.message}`, status: 0 })))
+    .then((results) => {
+      port.postMessage(results)
+      // wake up the calling thread
+      Atomics.store(signal, 0, ANSWERED)
+      Atomics.notify(signal, 0)
+    })
+})
@@ -0,0 +1,194 @@
+// Execute one or more HTTP requests concurrently.
+// This script is executed in a child process, so we can wait for the results synchronously (see node-http.js).
+// The requests are read (as JSON) from the standard input and the results are written (as JSON) on the standard output.
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const tls = require('tls')
+const { URL } = require('url')
+
+const getEnv = (name) => process.env[name] || process.env[name.toLowerCase()]
+
+const getDefaultPort = (url) => url.port || (url.protocol === 'https:' ? '443' : '80')
+
+/**
+ * @param {URL} url
+ * @returns {boolean} - true if the host is excluded by the NO_PROXY environment variable
+ */
+const isNoProxy = (url) => {
+  const noProxy = getEnv('NO_PROXY')
+  if (!noProxy) {
+    return false
+  }
+  const hostname = url.hostname.toLowerCase()
+  const port = getDefaultPort(url)
+  return noProxy.split(/[\s,]+/).filter((entry) => entry !== '').some((entry) => {
+    if (entry === '*') {
+      return true
+    }
+    const [host, entryPort] = entry.toLowerCase().split(':')
+    if (entryPort && entryPort !== port) {
+      return false
+    }
+    const domain = host.replace(/^\*?\./, '')
+    return hostname === domain || hostname.endsWith(`.${domain}`)
+  })
+}
+
+/**
+ * @param {URL} url
+ * @param {string|undefined} proxy - proxy defined by the kroki-http-proxy attribute
+ * @returns {URL|undefined} - the proxy URL or undefined if the request should not use a proxy
+ */
+const getProxyUrl = (url, proxy) => {
+  if (isNoProxy(url)) {
+    return undefined
+  }
+  const value = proxy || (url.protocol === 'https:' ? getEnv('HTTPS_PROXY') : getEnv('HTTP_PROXY'))
+  if (!value) {
+    return undefined
+  }
+  return new URL(value.includes('://') ? value : `http://${value}`)
+}
+
+const getProxyHeaders = (proxyUrl) => {
+  if (proxyUrl.username) {
+    const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials, 'utf8').toString('base64')}` }
+  }
+  return {}
+}
+
+/**
+ * Open a tunnel through the proxy (used to send HTTPS requests).
+ */
+const connect = (proxyUrl, url, timeout) => new Promise((resolve, reject) => {
+  const authority = `${url.hostname}:${getDefaultPort(url)}`
+  const proxyClient = proxyUrl.protocol === 'https:' ? https : http
+  const req = proxyClient.request({
+    hostname: proxyUrl.hostname,
+    port: getDefaultPort(proxyUrl),
+    method: 'CONNECT',
+    path: authority,
+    headers: Object.assign({ Host: authority }, getProxyHeaders(proxyUrl))
+  })
+  req.on('connect', (res, socket) => {
+    if (res.statusCode === 200) {
+      resolve(socket)
+    } else {
+      socket.destroy()
+      reject(new Error(`proxy ${proxyUrl.host} returns a ${res.statusCode} status code`))
+    }
+  })
+  req.on('error', reject)
+  if (timeout) {
+    req.setTimeout(timeout, () => req.destroy(new Error(`timeout of ${timeout}ms exceeded`)))
+  }
+  req.end()
+})
+
+const send = async (method, url, body, { timeout, headers, proxy, ca }, agents = {}) => {
+  const requestOptions = {
+    method,
+    headers: Object.assign({}, headers)
+  }
+  if (ca) {
+    // add the certificate authority to the default ones
+    requestOptions.ca = tls.rootCertificates ? [...tls.rootCertificates, ca] : [ca]
+  }
+  let client = url.protocol === 'https:' ? https : http
+  const proxyUrl = getProxyUrl(url, proxy)
+  if (proxyUrl) {
+    if (url.protocol === 'https:') {
+      const socket = await connect(proxyUrl, url, timeout)
+      requestOptions.createConnection = () => tls.connect({ socket, servername: url.hostname, ca: requestOptions.ca })
+      Object.assign(requestOptions, { hostname: url.hostname, port: getDefaultPort(url), path: `${url.pathname}${url.search}` })
+    } else {
+      // send the absolute URI to the proxy
+      client = proxyUrl.protocol === 'https:' ? https : http
+      Object.assign(requestOptions, { hostname: proxyUrl.hostname, port: getDefaultPort(proxyUrl), path: url.href })
+      Object.assign(requestOptions.headers, { Host: url.host }, getProxyHeaders(proxyUrl))
+    }
+  } else {
+    Object.assign(requestOptions, { hostname: url.hostname, port: getDefaultPort(url), path: `${url.pathname}${url.search}` })
+  }
+  if (typeof requestOptions.createConnection === 'undefined' && agents[client === https ? 'https:' : 'http:']) {
+    // reuse the connections (keep-alive)
+    requestOptions.agent = agents[client === https ? 'https:' : 'http:']
+  }
+  return new Promise((resolve, reject) => {
+    const req = client.request(requestOptions, (res) => {
+      const chunks = []
+      res.on('data', (chunk) => chunks.push(chunk))
+      res.on('end', () => resolve({ statusCode: res.statusCode, data: Buffer.concat(chunks) }))
+      res.on('error', reject)
+    })
+    req.on('error', reject)
+    if (timeout) {
+      req.setTimeout(timeout, () => req.destroy(new Error(`timeout of ${timeout}ms exceeded`)))
+    }
+    if (body) {
+      req.write(body)
+    }
+    req.end()
+  })
+}
+
+const httpRequest = async ({ method, uri, body, headers }, options, agents) => {
+  let response
+  try {
+    // the request headers (for instance: diagram options) are added to the common headers
+    response = await send(method, new URL(uri), body, Object.assign({}, options, { headers: Object.assign({}, options.headers, headers) }), agents)
+  } catch (e) {
+    return { error: `${method} ${uri} - error; reason: ${e.message}`, status: 0 }
+  }
+  const { statusCode, data } = response
+  if (statusCode !== 200) {
+    // the body usually contains the error message
+    return { error: `${method} ${uri} - server returns a ${statusCode} status code`, status: statusCode, body: data.toString('utf8') }
+  }
+  if (data.length === 0) {
+    // assume that no data means it doesn't exist
+    return { error: `${method} ${uri} - server returns an empty response`, status: statusCode }
+  }
+  return { data: data.toString('base64') }
+}
+
+/**
+ * Send the requests concurrently.
+ *
+ * @param requests - list of requests
+ * @param {number} concurrency - maximum number of concurrent requests
+ * @param options - request options
+ * @param {Object<string, any>} agents - HTTP agents by protocol (for instance: { 'https:': new https.Agent({ keepAlive: true }) })
+ * @returns {Promise<{data: string|undefined, error: string|undefined, status: number|undefined, body: string|undefined}[]>}
+ */
+const run = async (requests, concurrency, options, agents = {}) => {
+  const results = new Array(requests.length)
+  let next = 0
+  const worker = async () => {
+    while (next < requests.length) {
+      const index = next++
+      results[index] = await httpRequest(requests[index], options, agents)
+    }
+  }
+  const workers = []
+  for (let i = 0; i < Math.min(Math.max(concurrency, 1), requests.length); i++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+  return results
+}
+
+if (require.main === module) {
+  const { requests, concurrency, options } = JSON.parse(fs.readFileSync(0, 'utf8'))
+  run(requests, concurrency, options || {}).then((results) => {
+    process.stdout.write(JSON.stringify(results))
+  })
+}
+
+module.exports = {
+  isNoProxy,
+  getProxyUrl,
+  run
+}
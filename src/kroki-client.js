@@ -1,14 +1,235 @@
+/* global Atomics, SharedArrayBuffer */
 const pako = require('pako')
+const rusha = require('rusha')
+const { resolveHttpHeaders } = require('./http/http-headers.js')
+
+/**
+ * An error returned by the Kroki server (for instance, a syntax error in the diagram).
+ *
+ * @param {string} message
+ * @param {number} status - HTTP status code
+ * @param {string} reason - error message returned by the Kroki server
+ * @param {string} diagramType - Kroki diagram type
+ * @param {number|undefined} line - line number of the error in the diagram (if available)
+ */
+function KrokiError (message, status, reason, diagramType, line) {
+  this.name = 'KrokiError'
+  this.message = message
+  this.status = status
+  this.reason = reason
+  this.diagramType = diagramType
+  this.line = line
+  this.stack = (new Error()).stack
+}
+
+// eslint-disable-next-line new-parens
+KrokiError.prototype = new Error
+
+/**
+ * An error thrown when a diagram is not available offline
+ * (i.e. the kroki-offline attribute is set and the diagram was not previously fetched).
+ *
+ * @param {string} message
+ * @param {string[]} diagrams - blocks that need to be refreshed (if available)
+ */
+function KrokiOfflineError (message, diagrams = []) {
+  this.name = 'KrokiOfflineError'
+  this.message = message
+  this.diagrams = diagrams
+  this.stack = (new Error()).stack
+}
+
+// eslint-disable-next-line new-parens
+KrokiOfflineError.prototype = new Error
+
+const maxReasonLength = 500
+
+/**
+ * Convert an HTTP error into a KrokiError when the Kroki server returns an error message.
+ *
+ * @param {any} error - HTTP error
+ * @param {any} krokiDiagram
+ * @returns {any} - the KrokiError or the original error
+ */
+const toKrokiError = (error, krokiDiagram) => {
+  if (typeof error.status !== 'number' || error.status < 400 || typeof error.body !== 'string' || error.body.trim() === '') {
+    return error
+  }
+  let reason = error.body.trim()
+  if (reason.length > maxReasonLength) {
+    reason = `${reason.substr(0, maxReasonLength)}...`
+  }
+  const lineMatch = /\bline:?\s*(\d+)/i.exec(reason)
+  const line = lineMatch ? parseInt(lineMatch[1], 10) : undefined
+  const attempts = error.attempts > 1 ? ` (failed after ${error.attempts} attempts)` : ''
+  const message = `Kroki server returns a ${error.status} status code for the ${krokiDiagram.type} diagram${line ? ` at line ${line}` : ''}; reason: ${reason}${attempts}`
+  const krokiError = new KrokiError(message, error.status, reason, krokiDiagram.type, line)
+  krokiError.attempts = error.attempts
+  return krokiError
+}
+
+/**
+ * @param {string} url
+ * @returns {string} - the origin (protocol, host and port) of the URL or the URL itself if it is invalid
+ */
+const getOrigin = (url) => {
+  try {
+    return new URL(url).origin
+  } catch (e) {
+    return url
+  }
+}
+
+/**
+ * Block the current thread for a given amount of time.
+ * The Kroki client is synchronous, so we cannot use setTimeout.
+ *
+ * @param {number} ms - duration in milliseconds
+ */
+const sleep = (ms) => {
+  if (ms <= 0) {
+    return
+  }
+  try {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+  } catch (e) {
+    // Atomics.wait is not allowed on the main thread of a browser
+    const end = Date.now() + ms
+    while (Date.now() < end) {
+      // wait
+    }
+  }
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} - true if the request should be retried (i.e. connection error or 5xx status code)
+ */
+const isRetryable = (error) => {
+  const status = error.status
+  return typeof status !== 'number' || status <= 0 || status >= 500
+}
+
+// connection errors, timeouts and gateway errors (the server might be down or unreachable)
+const isUnreachable = (error) => {
+  const status = error.status
+  return typeof status !== 'number' || status <= 0 || status === 502 || status === 503 || status === 504
+}
+
+const parseNumberAttribute = (doc, name, defaultValue) => {
+  const value = doc.getAttribute(name)
+  if (typeof value === 'undefined' || value === '') {
+    return defaultValue
+  }
+  const number = Number(value)
+  if (isNaN(number) || number < 0) {
+    console.warn(`Invalid value '${value}' for ${name} attribute. The value must be a positive number. Proceeding using: ${defaultValue}.`)
+    return defaultValue
+  }
+  return number
+}
+
+const httpMethods = ['get', 'post', 'adaptive']
+
+const parseHttpMethod = (value, source) => {
+  const method = `${value}`.trim().toLowerCase()
+  if (httpMethods.includes(method)) {
+    return method
+  }
+  console.warn(`Invalid value '${`${value}`.trim()}' for ${source}. The value must be either: 'get', 'post' or 'adaptive'. Proceeding using: 'adaptive'.`)
+  return 'adaptive'
+}
+
+const parseMaxUriLength = (value, source) => {
+  const maxUriLength = Number(value)
+  if (!Number.isInteger(maxUriLength) || maxUriLength <= 0) {
+    console.warn(`Invalid value '${`${value}`.trim()}' for ${source}. The value must be a positive integer. Proceeding using: 4096.`)
+    return 4096
+  }
+  return maxUriLength
+}
+
+/**
+ * Parse a table of values per server, for instance: "http://localhost:8000=get, https://gateway.corp=post".
+ *
+ * @param {string|undefined} value
+ * @param {string} attributeName - name of the attribute that defines the table (used to report errors)
+ * @param {Function} parseValue - function used to parse a value
+ * @returns {Object<string, any>} - a table where the key is the server URL
+ */
+const parseServerTable = (value, attributeName, parseValue) => {
+  const table = {}
+  if (typeof value === 'undefined' || value === null) {
+    return table
+  }
+  for (const entry of `${value}`.split(',')) {
+    const separatorIndex = entry.lastIndexOf('=')
+    if (separatorIndex === -1) {
+      if (entry.trim() !== '') {
+        console.warn(`Invalid entry '${entry.trim()}' in ${attributeName} attribute. The value must use the following syntax: 'url=value'. Ignoring this entry.`)
+      }
+      continue
+    }
+    const serverUrl = entry.substring(0, separatorIndex).trim()
+    if (serverUrl !== '') {
+      table[serverUrl] = parseValue(entry.substring(separatorIndex + 1), `the server '${serverUrl}' in ${attributeName} attribute`)
+    }
+  }
+  return table
+}
+
+module.exports.KrokiError = KrokiError
+module.exports.KrokiOfflineError = KrokiOfflineError
 
 module.exports.KrokiDiagram = class KrokiDiagram {
-  constructor (type, format, text) {
+  /**
+   * @param {string} type - Kroki diagram type
+   * @param {string} format - output format
+   * @param {string} text - diagram text
+   * @param {Object<string, string>} options - diagram options (for instance: { layout: 'neato' })
+   */
+  constructor (type, format, text, options = {}) {
     this.text = text
     this.type = type
     this.format = format
+    this.options = options
   }
 
   getDiagramUri (serverUrl) {
-    return `${serverUrl}/${this.type}/${this.format}/${this.encode()}`
+    const uri = `${serverUrl}/${this.type}/${this.format}/${this.encode()}`
+    const query = Object.entries(this.options)
+      .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+      .join('&')
+    return query ? `${uri}?${query}` : uri
+  }
+
+  /**
+   * The hash does not depend on the Kroki server, so the same diagram always produces the same hash.
+   *
+   * @returns {string} - a SHA-1 hash of the diagram type, format, text and options
+   */
+  getHash () {
+    const hash = rusha.createHash()
+      .update(this.type)
+      .update('\n')
+      .update(this.format)
+      .update('\n')
+      .update(this.text)
+    if (Object.keys(this.options).length > 0) {
+      hash.update('\n').update(JSON.stringify(this.options))
+    }
+    return hash.digest('hex')
+  }
+
+  /**
+   * @returns {Object<string, string>} - the diagram options as HTTP headers (used by POST requests)
+   */
+  getOptionsHeaders () {
+    const headers = {}
+    for (const [name, value] of Object.entries(this.options)) {
+      headers[`Kroki-Diagram-Options-${name}`] = value
+    }
+    return headers
   }
 
   encode () {
@@ -22,45 +243,381 @@ module.exports.KrokiDiagram = class KrokiDiagram {
 }
 
 module.exports.KrokiClient = class KrokiClient {
-  constructor (doc, httpClient) {
-    this.maxUriLength = 4096
+  /**
+   * @param doc - Asciidoctor document
+   * @param httpClient - HTTP client
+   * @param {{cache: any, memo: any, statistics: any, httpHeaders: Object<string, string>|undefined, httpOptions: any}} options - cache, in-memory memo, session statistics, headers defined in the register context and network options (proxy and certificate authority)
+   */
+  constructor (doc, httpClient, options = {}) {
+    const maxUriLength = doc.getAttribute('kroki-max-uri-length')
+    this.maxUriLength = typeof maxUriLength === 'undefined' || maxUriLength === '' ? 4096 : parseMaxUriLength(maxUriLength, 'kroki-max-uri-length attribute')
+    this.serverMaxUriLengths = parseServerTable(doc.getAttribute('kroki-server-max-uri-lengths'), 'kroki-server-max-uri-lengths', parseMaxUriLength)
     this.httpClient = httpClient
-    const method = doc.getAttribute('kroki-http-method', 'adaptive').toLowerCase()
-    if (method === 'get' || method === 'post' || method === 'adaptive') {
-      this.method = method
+    this.cache = options.cache
+    this.memo = options.memo
+    this.statistics = options.statistics
+    this.headers = resolveHttpHeaders(doc, options.httpHeaders)
+    this.httpOptions = options.httpOptions || {}
+    this.method = parseHttpMethod(doc.getAttribute('kroki-http-method', 'adaptive'), 'kroki-http-method attribute')
+    this.serverMethods = parseServerTable(doc.getAttribute('kroki-server-http-methods'), 'kroki-server-http-methods', parseHttpMethod)
+    const postBody = doc.getAttribute('kroki-http-post-body', 'auto').toLowerCase()
+    if (postBody === 'auto' || postBody === 'text' || postBody === 'json') {
+      this.postBody = postBody
     } else {
-      console.warn(`Invalid value '${method}' for kroki-http-method attribute. The value must be either: 'get', 'post' or 'adaptive'. Proceeding using: 'adaptive'.`)
-      this.method = 'adaptive'
+      console.warn(`Invalid value '${postBody}' for kroki-http-post-body attribute. The value must be either: 'auto', 'text' or 'json'. Proceeding using: 'auto'.`)
+      this.postBody = 'auto'
     }
+    // timeout in seconds (0 means no timeout)
+    this.timeout = parseNumberAttribute(doc, 'kroki-http-timeout', 0)
+    this.retries = Math.floor(parseNumberAttribute(doc, 'kroki-http-retries', 0))
+    // initial delay in seconds between two attempts (doubled after each attempt)
+    this.retryDelay = parseNumberAttribute(doc, 'kroki-http-retry-delay', 1)
+    // never send requests to the Kroki server
+    this.offline = doc.isAttribute('kroki-offline')
     this.doc = doc
   }
 
+  getOfflineError (krokiDiagram) {
+    return new KrokiOfflineError(`The ${krokiDiagram.type} diagram is not available offline (kroki-offline attribute is set). The diagram was not found in the images output directory or in the cache.`)
+  }
+
+  /**
+   * @param {{headers: Object<string, string>|undefined}} request - the request (optional), its headers are sent
+   * @returns {any} - the options sent to the HTTP client
+   */
+  getHttpOptions (request = {}) {
+    const options = Object.assign({}, this.httpOptions)
+    if (this.timeout > 0) {
+      options.timeout = this.timeout * 1000
+    }
+    if (request.headers && Object.keys(request.headers).length > 0) {
+      options.headers = Object.assign({}, request.headers)
+    }
+    return options
+  }
+
+  /**
+   * Get the headers defined by the "kroki-http-headers" and "kroki-http-auth" attributes (and in the register context).
+   * The headers (usually credentials) are only sent to the server returned by getServerUrl and to the servers with the same origin,
+   * the other fallback servers (for instance, https://kroki.io) do not receive them.
+   *
+   * @param {KrokiDiagram} krokiDiagram - diagram
+   * @param {string} serverUrl - server that receives the request
+   * @returns {Object<string, string>}
+   */
+  getServerHeaders (krokiDiagram, serverUrl) {
+    return getOrigin(serverUrl) === getOrigin(this.getServerUrl(krokiDiagram)) ? this.headers : {}
+  }
+
+  getFinalError (error, attempts, krokiDiagram) {
+    error.attempts = attempts
+    const krokiError = toKrokiError(error, krokiDiagram)
+    if (krokiError === error && attempts > 1) {
+      error.message = `${error.message} (failed after ${attempts} attempts)`
+    }
+    return krokiError
+  }
+
+  getRetryDelay (attempt) {
+    return this.retryDelay * 1000 * Math.pow(2, attempt - 1)
+  }
+
+  /**
+   * Execute a request and retry (with an exponential backoff) on connection errors and 5xx status codes.
+   *
+   * @param {Function} fn - function that executes the request
+   * @param {KrokiDiagram} krokiDiagram - diagram (used to report errors)
+   * @returns {string} - the response
+   * @throws {KrokiError} if the Kroki server returns an error message
+   */
+  withRetry (fn, krokiDiagram) {
+    let attempt = 1
+    while (true) {
+      try {
+        return fn()
+      } catch (e) {
+        if (attempt > this.retries || !isRetryable(e)) {
+          throw this.getFinalError(e, attempt, krokiDiagram)
+        }
+        sleep(this.getRetryDelay(attempt))
+        attempt++
+      }
+    }
+  }
+
   getTextContent (krokiDiagram) {
     return this.getImage(krokiDiagram, 'utf8')
   }
 
+  /**
+   * Increment a counter of the session statistics (if any).
+   *
+   * @param {string} name - counter name
+   * @param {number} value
+   */
+  count (name, value = 1) {
+    if (this.statistics) {
+      this.statistics[name] += value
+    }
+  }
+
+  /**
+   * Get a response from the in-memory memo or from the cache.
+   *
+   * @returns {string|undefined} - the response or undefined if the diagram must be requested
+   */
+  getStoredImage (krokiDiagram, encoding) {
+    const memoizedImage = this.memo ? this.memo.get(krokiDiagram, encoding) : undefined
+    if (typeof memoizedImage !== 'undefined') {
+      this.count('memoHits')
+      return memoizedImage
+    }
+    const cachedImage = this.cache ? this.cache.get(krokiDiagram, encoding) : undefined
+    if (typeof cachedImage !== 'undefined') {
+      this.count('cacheHits')
+      if (this.memo) {
+        this.memo.set(krokiDiagram, cachedImage, encoding)
+      }
+    }
+    return cachedImage
+  }
+
+  storeImage (krokiDiagram, image, encoding) {
+    if (this.memo) {
+      this.memo.set(krokiDiagram, image, encoding)
+    }
+    if (this.cache) {
+      this.cache.set(krokiDiagram, image, encoding)
+    }
+  }
+
   getImage (krokiDiagram, encoding) {
-    const serverUrl = this.getServerUrl()
-    const type = krokiDiagram.type
-    const format = krokiDiagram.format
-    const text = krokiDiagram.text
-    if (this.method === 'adaptive' || this.method === 'get') {
+    this.count('diagrams')
+    const storedImage = this.getStoredImage(krokiDiagram, encoding)
+    if (typeof storedImage !== 'undefined') {
+      return storedImage
+    }
+    if (this.offline) {
+      this.count('failures')
+      throw this.getOfflineError(krokiDiagram)
+    }
+    const serverUrls = this.getServerUrls(krokiDiagram)
+    let image
+    for (let serverIndex = 0; typeof image === 'undefined'; serverIndex++) {
+      const request = this.getRequest(krokiDiagram, serverUrls[serverIndex])
+      const httpOptions = this.getHttpOptions(request)
+      try {
+        image = this.withRetry(() => {
+          this.count('requests')
+          if (request.method === 'POST') {
+            return this.httpClient.post(request.uri, request.body, encoding, httpOptions)
+          }
+          return this.httpClient.get(request.uri, encoding, httpOptions)
+        }, krokiDiagram)
+      } catch (e) {
+        if (!this.canFailover(e, serverUrls, serverIndex)) {
+          this.count('failures')
+          throw e
+        }
+      }
+    }
+    this.storeImage(krokiDiagram, image, encoding)
+    return image
+  }
+
+  /**
+   * @param {Error} error - the final error returned by a server
+   * @param {string[]} serverUrls - ordered list of servers
+   * @param {number} serverIndex - index of the server that returned the error
+   * @returns {boolean} - true if the request should be sent to the next server
+   */
+  canFailover (error, serverUrls, serverIndex) {
+    if (serverIndex + 1 >= serverUrls.length || !isUnreachable(error)) {
+      return false
+    }
+    console.warn(`Kroki server ${serverUrls[serverIndex]} is unreachable. Proceeding using: ${serverUrls[serverIndex + 1]}.`)
+    return true
+  }
+
+  /**
+   * Get multiple images concurrently (when supported by the HTTP client).
+   *
+   * @param {KrokiDiagram[]} krokiDiagrams - list of diagrams
+   * @param {string} encoding - response encoding
+   * @param {number} concurrency - maximum number of concurrent requests
+   * @returns {{data: string|undefined, error: Error|undefined}[]} - the results in the same order as the diagrams
+   */
+  getImages (krokiDiagrams, encoding, concurrency = 1) {
+    if (typeof this.httpClient.batch === 'function') {
+      this.count('diagrams', krokiDiagrams.length)
+      const results = krokiDiagrams.map((krokiDiagram) => {
+        const storedImage = this.getStoredImage(krokiDiagram, encoding)
+        return typeof storedImage !== 'undefined' ? { data: storedImage } : undefined
+      })
+      let pendingIndexes = []
+      results.forEach((result, index) => {
+        if (typeof result === 'undefined') {
+          pendingIndexes.push(index)
+        }
+      })
+      if (this.offline) {
+        for (const index of pendingIndexes) {
+          results[index] = { error: this.getOfflineError(krokiDiagrams[index]) }
+        }
+        pendingIndexes = []
+      }
+      const serverUrls = krokiDiagrams.map((krokiDiagram) => this.getServerUrls(krokiDiagram))
+      const serverIndexes = krokiDiagrams.map(() => 0)
+      const attempts = krokiDiagrams.map(() => 1)
+      while (pendingIndexes.length > 0) {
+        const requests = pendingIndexes.map((index) => this.getRequest(krokiDiagrams[index], serverUrls[index][serverIndexes[index]]))
+        this.count('requests', requests.length)
+        const responses = this.httpClient.batch(requests, encoding, concurrency, this.getHttpOptions())
+        const retryIndexes = []
+        let retryDelay = 0
+        responses.forEach((response, responseIndex) => {
+          const index = pendingIndexes[responseIndex]
+          if (response.error) {
+            if (attempts[index] <= this.retries && isRetryable(response.error)) {
+              retryDelay = Math.max(retryDelay, this.getRetryDelay(attempts[index]))
+              attempts[index]++
+              retryIndexes.push(index)
+              return
+            }
+            const error = this.getFinalError(response.error, attempts[index], krokiDiagrams[index])
+            if (this.canFailover(error, serverUrls[index], serverIndexes[index])) {
+              serverIndexes[index]++
+              attempts[index] = 1
+              retryIndexes.push(index)
+              return
+            }
+            results[index] = { error }
+            return
+          }
+          this.storeImage(krokiDiagrams[index], response.data, encoding)
+          results[index] = response
+        })
+        if (retryDelay > 0) {
+          sleep(retryDelay)
+        }
+        pendingIndexes = retryIndexes
+      }
+      this.count('failures', results.filter((result) => result.error).length)
+      return results
+    }
+    return krokiDiagrams.map((krokiDiagram) => {
+      try {
+        return { data: this.getImage(krokiDiagram, encoding) }
+      } catch (e) {
+        return { error: e }
+      }
+    })
+  }
+
+  /**
+   * @param {string} serverUrl
+   * @returns {string} - the HTTP method used to send requests to the server ('get', 'post' or 'adaptive')
+   */
+  getMethod (serverUrl) {
+    return this.serverMethods[serverUrl] || this.method
+  }
+
+  /**
+   * @param {string} serverUrl
+   * @returns {number} - the maximum length of a GET request URI accepted by the server
+   */
+  getMaxUriLength (serverUrl) {
+    return this.serverMaxUriLengths[serverUrl] || this.maxUriLength
+  }
+
+  /**
+   * @param {string} uri - GET request URI
+   * @param {string} serverUrl
+   * @returns {boolean} - true if the URI is longer than the maximum length accepted by the server
+   */
+  isUriTooLong (uri, serverUrl) {
+    return uri.length > this.getMaxUriLength(serverUrl)
+  }
+
+  getRequest (krokiDiagram, serverUrl = this.getServerUrl(krokiDiagram)) {
+    const request = this.getServerRequest(krokiDiagram, serverUrl)
+    const headers = Object.assign({}, this.getServerHeaders(krokiDiagram, serverUrl), request.headers)
+    if (Object.keys(headers).length > 0) {
+      request.headers = headers
+    }
+    return request
+  }
+
+  getServerRequest (krokiDiagram, serverUrl) {
+    const method = this.getMethod(serverUrl)
+    if (method === 'adaptive' || method === 'get') {
       const uri = krokiDiagram.getDiagramUri(serverUrl)
-      if (uri.length > this.maxUriLength) {
-        // The request URI is longer than 4096.
-        if (this.method === 'get') {
+      if (this.isUriTooLong(uri, serverUrl)) {
+        // The request URI is longer than the maximum length (4096 by default).
+        if (method === 'get') {
           // The request might be rejected by the server with a 414 Request-URI Too Large.
           // Consider using the attribute kroki-http-method with the value 'adaptive'.
-          return this.httpClient.get(uri, encoding)
+          return { method: 'GET', uri }
         }
-        return this.httpClient.post(`${serverUrl}/${type}/${format}`, text, encoding)
+        return this.getPostRequest(krokiDiagram, serverUrl)
+      }
+      return { method: 'GET', uri }
+    }
+    return this.getPostRequest(krokiDiagram, serverUrl)
+  }
+
+  getPostRequest (krokiDiagram, serverUrl) {
+    const hasOptions = Object.keys(krokiDiagram.options).length > 0
+    if (this.postBody === 'json' || (this.postBody === 'auto' && hasOptions)) {
+      return {
+        method: 'POST',
+        uri: `${serverUrl}/`,
+        body: JSON.stringify({
+          diagram_source: krokiDiagram.text,
+          diagram_type: krokiDiagram.type,
+          output_format: krokiDiagram.format,
+          diagram_options: krokiDiagram.options
+        }),
+        headers: { 'Content-Type': 'application/json' }
       }
-      return this.httpClient.get(uri, encoding)
     }
-    return this.httpClient.post(`${serverUrl}/${type}/${format}`, text, encoding)
+    const request = { method: 'POST', uri: `${serverUrl}/${krokiDiagram.type}/${krokiDiagram.format}`, body: krokiDiagram.text }
+    if (hasOptions) {
+      // the diagram options are sent as HTTP headers
+      request.headers = krokiDiagram.getOptionsHeaders()
+    }
+    return request
+  }
+
+  /**
+   * Get the URL of the Kroki server.
+   * The server defined by the "kroki-server-url-<type>" attribute takes precedence over the server defined by the "kroki-server-url" attribute.
+   *
+   * @param {KrokiDiagram} krokiDiagram - diagram (optional)
+   * @returns {string}
+   */
+  getServerUrl (krokiDiagram) {
+    const serverUrl = krokiDiagram ? this.doc.getAttribute(`kroki-server-url-${krokiDiagram.type}`) : undefined
+    return serverUrl || this.doc.getAttribute('kroki-server-url') || 'https://kroki.io'
   }
 
-  getServerUrl () {
-    return this.doc.getAttribute('kroki-server-url') || 'https://kroki.io'
+  /**
+   * Get the ordered list of Kroki servers: the server returned by getServerUrl
+   * followed by the fallback servers defined by the "kroki-fallback-server-urls" attribute.
+   *
+   * @param {KrokiDiagram} krokiDiagram - diagram
+   * @returns {string[]}
+   */
+  getServerUrls (krokiDiagram) {
+    const serverUrls = [this.getServerUrl(krokiDiagram)]
+    const fallbackServerUrls = this.doc.getAttribute('kroki-fallback-server-urls')
+    if (fallbackServerUrls) {
+      for (const serverUrl of `${fallbackServerUrls}`.split(',').map((value) => value.trim())) {
+        if (serverUrl !== '' && !serverUrls.includes(serverUrl)) {
+          serverUrls.push(serverUrl)
+        }
+      }
+    }
+    return serverUrls
   }
 }
@@ -0,0 +1,62 @@
+// @ts-check
+/**
+ * An in-memory memo of Kroki responses.
+ * The same diagram (type, format, text and options) is only requested once per process,
+ * even when it is used by several blocks or by several documents.
+ */
+class KrokiMemo {
+  /**
+   * @param {number} maxEntries - maximum number of responses kept in memory (the least recently used responses are evicted first)
+   */
+  constructor (maxEntries = 1000) {
+    this.maxEntries = maxEntries
+    this.entries = new Map()
+  }
+
+  getKey (krokiDiagram, encoding) {
+    return `${krokiDiagram.getHash()}.${encoding}`
+  }
+
+  /**
+   * @param krokiDiagram
+   * @param {string} encoding
+   * @returns {string|undefined} - the response or undefined if the diagram was not requested yet
+   */
+  get (krokiDiagram, encoding = 'utf8') {
+    const key = this.getKey(krokiDiagram, encoding)
+    if (!this.entries.has(key)) {
+      return undefined
+    }
+    const contents = this.entries.get(key)
+    // the entries are ordered from the least recently used to the most recently used
+    this.entries.delete(key)
+    this.entries.set(key, contents)
+    return contents
+  }
+
+  /**
+   * @param krokiDiagram
+   * @param {string} contents
+   * @param {string} encoding
+   */
+  set (krokiDiagram, contents, encoding = 'utf8') {
+    const key = this.getKey(krokiDiagram, encoding)
+    this.entries.delete(key)
+    this.entries.set(key, contents)
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  clear () {
+    this.entries.clear()
+  }
+}
+
+// shared by the documents converted in the same process
+const memo = new KrokiMemo()
+
+module.exports = {
+  KrokiMemo,
+  memo
+}
@@ -13,9 +13,15 @@ module.exports = {
   exists: (path) => {
     return fs.existsSync(path)
   },
-  read: (path, encoding = 'utf8') => {
+  list: (dirPath) => {
+    // regular files only (the sub-directories are not included)
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter((entry) => entry.isFile())
+      .map((entry) => entry.name)
+  },
+  read: (path, encoding = 'utf8', httpOptions = {}) => {
     if (path.startsWith('http://') || path.startsWith('https://')) {
-      return http.get(path, encoding)
+      return http.get(path, encoding, httpOptions)
     }
     if (path.startsWith('file://')) {
       return fs.readFileSync(path.substr('file://'.length), encoding)
@@ -4,9 +4,10 @@ const path = require('path')
 /**
  * @param {string} diagramText
  * @param {any} context
+ * @param {any} httpOptions - network options used to read remote files
  * @returns {string}
  */
-module.exports.preprocessVegaLite = function (diagramText, context) {
+module.exports.preprocessVegaLite = function (diagramText, context, httpOptions = {}) {
   let diagramObject
   try {
     const JSON5 = require('json5')
@@ -27,7 +28,7 @@ ${diagramText}
   const read = typeof vfs !== 'undefined' && typeof vfs.read === 'function' ? vfs.read : require('./node-fs.js').read
   const data = diagramObject.data
   try {
-    data.values = read(data.url)
+    data.values = isRemoteUrl(data.url) ? read(data.url, 'utf8', httpOptions) : read(data.url)
   } catch (e) {
     if (isRemoteUrl(data.url)) {
       // Only warn and do not throw an error, because the data file can perhaps be found by kroki server (https://github.com/yuzutech/kroki/issues/60)
@@ -77,47 +78,81 @@ function removePlantUmlTags (diagramText) {
  * @param {string} diagramText
  * @param {any} context
  * @param {string} baseDir - base directory
+ * @param {any} httpOptions - network options used to read remote files
+ * @param {string|undefined} stdlibDir - local directory of the PlantUML standard library (relative to the base directory)
  * @returns {string}
  */
-module.exports.preprocessPlantUML = function (diagramText, context, baseDir = '.') {
-  const includeOnce = []
-  const includeStack = []
-  diagramText = preprocessPlantUmlIncludes(diagramText, baseDir, includeOnce, includeStack, context.vfs)
+module.exports.preprocessPlantUML = function (diagramText, context, baseDir = '.', httpOptions = {}, stdlibDir = undefined) {
+  const state = {
+    // files included with the !include_once directive
+    includeOnce: [],
+    // files being included (used to detect recursive includes)
+    includeStack: [],
+    // archives and directories imported with the !import directive
+    imports: [],
+    // variables ("$name") and macros without arguments ("name") defined by the !$name = value and !define directives
+    variables: new Map(),
+    vfs: context.vfs,
+    httpOptions,
+    stdlibDir: stdlibDir ? path.resolve(baseDir, stdlibDir) : undefined
+  }
+  diagramText = preprocessPlantUmlIncludes(diagramText, baseDir, state)
   return removePlantUmlTags(diagramText)
 }
 
 /**
  * @param {string} diagramText
  * @param {string} dirPath
- * @param {string[]} includeOnce
- * @param {string[]} includeStack
- * @param {any} vfs
+ * @param {any} state - preprocessing state (see preprocessPlantUML)
  * @returns {string}
  */
-function preprocessPlantUmlIncludes (diagramText, dirPath, includeOnce, includeStack, vfs) {
+function preprocessPlantUmlIncludes (diagramText, dirPath, state) {
   // see: http://plantuml.com/en/preprocessing
   const regExInclude = /^\s*!(include(?:_many|_once|url|sub)?)\s+((?:(?<=\\)[ ]|[^ ])+)(.*)/
+  const regExIncludeDir = /^\s*!includedir\s+((?:(?<=\\)[ ]|[^ ])+)(.*)/
+  const regExImport = /^\s*!import\s+((?:(?<=\\)[ ]|[^ ])+)(.*)/
+  // see: https://plantuml.com/en/theme
+  const regExTheme = /^\s*!theme\s+([^\s]+)(?:\s+from\s+(.+?))?\s*$/
   const regExTrailingComment = /^\s+[#|\\/']/
+  // see: https://plantuml.com/en/preprocessing (the functions defined on one line with !return do not have a body)
+  const regExDefinitionStart = /^\s*!(?:(?:unquoted\s+)?(?:procedure|function)\s(?!.*!return\b)|definelong\s)/
+  const regExDefinitionEnd = /^\s*!end(?:procedure|function|definelong)\b/
   const diagramLines = diagramText.split('\n')
   let insideCommentBlock = false
-  const diagramProcessed = diagramLines.map(line => {
+  // inside the body of a !procedure, !function or !definelong directive (the arguments are only known when it is called)
+  let insideDefinitionBody = false
+  // conditions of the enclosing !if, !ifdef and !ifndef directives
+  const conditions = []
+  const diagramProcessed = diagramLines.map((line, index) => {
     let result = line
-    // replace the !include directive unless inside a comment block
-    if (!insideCommentBlock) {
+    if (!insideCommentBlock && regExDefinitionStart.test(line)) {
+      insideDefinitionBody = true
+    }
+    const directiveKept = insideCommentBlock ? undefined : processPlantUmlCondition(diagramLines, index, conditions, insideDefinitionBody, state)
+    if (directiveKept === false || conditions.some((condition) => condition.removing && !condition.active)) {
+      // the directives of the evaluated conditions and the lines of a branch that is not taken are removed
+      // (kroki server could take another branch, for instance when %getenv is used)
+      result = undefined
+    } else if (typeof directiveKept !== 'undefined' || insideCommentBlock || conditions.some((condition) => !condition.active)) {
+      // the lines of a comment block, the kept directives and the lines of a branch that is not taken (without includes) are kept as is
+    } else if (processPlantUmlDefinition(line, insideDefinitionBody || conditions.some((condition) => !condition.evaluated), state)) {
+      // the definition is kept, the variables can also be used in the diagram
+    } else if (regExInclude.test(line)) {
+      // replace the !include directive
       result = line.replace(
         regExInclude,
         (match, ...args) => {
           const include = args[0].toLowerCase()
-          const urlSub = args[1].trim().split('!')
+          const urlSub = substitutePlantUmlVariables(args[1].trim(), state).split('!')
           const trailingContent = args[2]
           const url = urlSub[0].replace(/\\ /g, ' ')
           const sub = urlSub[1]
-          const result = readPlantUmlInclude(url, dirPath, includeStack, vfs)
+          const result = readPlantUmlInclude(url, dirPath, state)
           if (result.skip) {
             return line
           }
           if (include === 'include_once') {
-            checkIncludeOnce(result.text, result.filePath, includeOnce)
+            checkIncludeOnce(result.text, result.filePath, state.includeOnce)
           }
           let text = result.text
           if (sub !== undefined && sub !== null && sub !== '') {
@@ -134,14 +169,64 @@ function preprocessPlantUmlIncludes (diagramText, dirPath, includeOnce, includeS
           } else {
             text = getPlantUmlTextOrFirstBlock(text)
           }
-          includeStack.push(result.filePath)
-          text = preprocessPlantUmlIncludes(text, path.dirname(result.filePath), includeOnce, includeStack, vfs)
-          includeStack.pop()
+          text = preprocessPlantUmlIncludedText(text, result.filePath, state)
           if (trailingContent.match(regExTrailingComment)) {
             return text + trailingContent
           }
           return text
         })
+    } else if (regExIncludeDir.test(line)) {
+      // replace the !includedir directive by the files of the directory
+      result = line.replace(
+        regExIncludeDir,
+        (match, ...args) => {
+          const url = substitutePlantUmlVariables(args[0].trim(), state).replace(/\\ /g, ' ')
+          const trailingContent = args[1]
+          const result = readPlantUmlIncludeDir(url, dirPath, state)
+          if (result.skip) {
+            return line
+          }
+          const text = result.files.map((file) => {
+            checkIncludedOnce(file.filePath, state.includeOnce)
+            return preprocessPlantUmlIncludedText(getPlantUmlTextOrFirstBlock(file.text), file.filePath, state)
+          }).join('\n')
+          if (trailingContent.match(regExTrailingComment)) {
+            return text + trailingContent
+          }
+          return text
+        })
+    } else if (regExImport.test(line)) {
+      // the !import directive is removed, the imported files are included by the following !include directives
+      result = line.replace(
+        regExImport,
+        (match, ...args) => {
+          const url = substitutePlantUmlVariables(args[0].trim(), state).replace(/\\ /g, ' ')
+          const result = readPlantUmlImport(url, dirPath, state)
+          if (result.skip) {
+            return line
+          }
+          state.imports.push(result)
+          return ''
+        })
+    } else {
+      // replace the !theme directive
+      result = line.replace(
+        regExTheme,
+        (match, name, from) => {
+          const url = getPlantUmlThemeUrl(
+            substitutePlantUmlVariables(name, state),
+            typeof from !== 'undefined' ? substitutePlantUmlVariables(from, state) : undefined,
+            state.stdlibDir)
+          if (typeof url === 'undefined') {
+            // the theme can be found by kroki server
+            return line
+          }
+          const result = readPlantUmlInclude(url, dirPath, state)
+          if (result.skip) {
+            return line
+          }
+          return preprocessPlantUmlIncludedText(getPlantUmlTextOrFirstBlock(result.text), result.filePath, state)
+        })
     }
     if (line.includes('/\'')) {
       insideCommentBlock = true
@@ -149,35 +234,434 @@ function preprocessPlantUmlIncludes (diagramText, dirPath, includeOnce, includeS
     if (insideCommentBlock && line.includes('\'/')) {
       insideCommentBlock = false
     }
+    if (regExDefinitionEnd.test(line)) {
+      insideDefinitionBody = false
+    }
     return result
   })
-  return diagramProcessed.join('\n')
+  return diagramProcessed.filter((line) => typeof line !== 'undefined').join('\n')
+}
+
+/**
+ * Preprocess the includes of an included file.
+ *
+ * @param {string} text
+ * @param {string} filePath
+ * @param {any} state
+ * @returns {string}
+ */
+function preprocessPlantUmlIncludedText (text, filePath, state) {
+  state.includeStack.push(filePath)
+  text = preprocessPlantUmlIncludes(text, path.dirname(filePath), state)
+  state.includeStack.pop()
+  return text
+}
+
+/**
+ * Evaluate the !if, !ifdef, !ifndef, !elseif, !else and !endif directives.
+ * A conditional block is only evaluated when all its conditions can be evaluated locally (see evaluatePlantUmlCondition),
+ * otherwise the directives and all the branches are kept and the conditions are evaluated by kroki server.
+ * The directives and the branches that are not taken are only removed when the block contains an include, import or theme directive.
+ *
+ * @param {string[]} lines
+ * @param {number} index - index of the line
+ * @param {{evaluated: boolean, removing: boolean, active: boolean, branch: number, takenBranch: number|undefined}[]} conditions - conditions of the enclosing directives
+ * @param {boolean} insideDefinitionBody - true if the line is inside the body of a procedure or a function
+ * @param {any} state
+ * @returns {boolean|undefined} - undefined if the line is not a conditional directive, otherwise true if the directive is kept
+ */
+function processPlantUmlCondition (lines, index, conditions, insideDefinitionBody, state) {
+  const match = matchPlantUmlCondition(lines[index])
+  if (match === null) {
+    return undefined
+  }
+  const { directive } = match
+  const current = conditions[conditions.length - 1]
+  if (directive === 'ifdef' || directive === 'ifndef' || directive === 'if') {
+    const block = getPlantUmlConditionalBlock(lines, index)
+    const takenBranch = insideDefinitionBody || conditions.some((condition) => !condition.active)
+      ? undefined
+      : evaluatePlantUmlConditionalBlock(block.branches, state)
+    const evaluated = typeof takenBranch !== 'undefined'
+    const removing = evaluated && block.includes
+    conditions.push({ evaluated, removing, active: !evaluated || takenBranch === 0, branch: 0, takenBranch })
+    return !removing
+  }
+  if (typeof current === 'undefined') {
+    // unbalanced directive, the line is kept and the error will be reported by kroki server
+    return true
+  }
+  if (directive === 'endif') {
+    conditions.pop()
+  } else {
+    current.branch++
+    current.active = !current.evaluated || current.takenBranch === current.branch
+  }
+  return !current.removing
+}
+
+/**
+ * @param {string} line
+ * @returns {{directive: string, expression: string}|null}
+ */
+function matchPlantUmlCondition (line) {
+  const match = line.match(/^\s*!(ifdef|ifndef|if|elseif|else|endif)\b\s*(.*?)\s*$/)
+  return match === null ? null : { directive: match[1], expression: match[2] }
+}
+
+/**
+ * Get the branches of the conditional block that starts at the given line and whether it contains an include, import or theme directive.
+ *
+ * @param {string[]} lines
+ * @param {number} index - index of the !if, !ifdef or !ifndef directive
+ * @returns {{branches: {directive: string, expression: string}[], includes: boolean}}
+ */
+function getPlantUmlConditionalBlock (lines, index) {
+  const regExInclude = /^\s*!(?:include(?:_many|_once|url|sub|dir)?|import|theme)\s/
+  const branches = [matchPlantUmlCondition(lines[index])]
+  let includes = false
+  let depth = 0
+  let insideCommentBlock = false
+  for (const line of lines.slice(index + 1)) {
+    const match = insideCommentBlock ? null : matchPlantUmlCondition(line)
+    if (match === null) {
+      includes = includes || (!insideCommentBlock && regExInclude.test(line))
+    } else if (match.directive === 'ifdef' || match.directive === 'ifndef' || match.directive === 'if') {
+      depth++
+    } else if (match.directive === 'endif') {
+      if (depth === 0) {
+        break
+      }
+      depth--
+    } else if (depth === 0) {
+      branches.push(match)
+    }
+    if (line.includes('/\'')) {
+      insideCommentBlock = true
+    }
+    if (insideCommentBlock && line.includes('\'/')) {
+      insideCommentBlock = false
+    }
+  }
+  return { branches, includes }
+}
+
+/**
+ * @param {{directive: string, expression: string}[]} branches
+ * @param {any} state
+ * @returns {number|undefined} - the index of the branch taken (-1 if none), undefined if a condition cannot be evaluated
+ */
+function evaluatePlantUmlConditionalBlock (branches, state) {
+  for (let index = 0; index < branches.length; index++) {
+    const { directive, expression } = branches[index]
+    let value = true
+    if (directive === 'ifdef' || directive === 'ifndef') {
+      const defined = isPlantUmlDefined(expression, state)
+      value = typeof defined === 'undefined' ? undefined : defined === (directive === 'ifdef')
+    } else if (directive !== 'else') {
+      value = evaluatePlantUmlCondition(expression, state)
+    }
+    if (typeof value === 'undefined') {
+      return undefined
+    }
+    if (value) {
+      return index
+    }
+  }
+  return -1
+}
+
+/**
+ * Evaluate the variable assignments (!$name = value, !$name ?= value) and the macros without arguments (!define name value, !undef name).
+ * The value of a definition is unknown when it cannot be evaluated or when it is not certain that the definition is evaluated by kroki server.
+ *
+ * @param {string} line
+ * @param {boolean} uncertain - true if the line is in a branch that could be taken or not, or in the body of a procedure or a function
+ * @param {any} state
+ * @returns {boolean} - true if the line is a definition
+ */
+function processPlantUmlDefinition (line, uncertain, state) {
+  const assignment = line.match(/^\s*!(?:(?:global|local)\s+)?(\$[A-Za-z_]\w*)\s*(\?=|=)\s*(.*?)\s*$/)
+  if (assignment !== null) {
+    const [, name, operator, expression] = assignment
+    if (uncertain) {
+      state.variables.set(name, undefined)
+    } else if (operator === '=' || !state.variables.has(name)) {
+      state.variables.set(name, evaluatePlantUmlExpression(expression, state))
+    }
+    return true
+  }
+  const definition = line.match(/^\s*!define\s+([A-Za-z_]\w*)(?:\s+(.*?))?\s*$/)
+  if (definition !== null) {
+    state.variables.set(definition[1], uncertain ? undefined : substitutePlantUmlVariables(definition[2] || '', state))
+    return true
+  }
+  const undefinition = line.match(/^\s*!undef\s+([A-Za-z_]\w*)\s*$/)
+  if (undefinition !== null) {
+    if (uncertain) {
+      state.variables.set(undefinition[1], undefined)
+    } else {
+      state.variables.delete(undefinition[1])
+    }
+    return true
+  }
+  return false
+}
+
+/**
+ * @param {string} name - name of a variable or a macro
+ * @param {any} state
+ * @returns {boolean|undefined} - undefined if it is not known whether the variable is defined
+ */
+function isPlantUmlDefined (name, state) {
+  if (!state.variables.has(name)) {
+    return false
+  }
+  return typeof state.variables.get(name) === 'string' ? true : undefined
+}
+
+/**
+ * Evaluate a condition of the !if and !elseif directives.
+ * The conditions can be combined with || and && (without nested parentheses),
+ * the operands can be compared with == and != or, if they are integers, with <, <=, > and >=.
+ * An operand is true unless it is empty or equal to 0.
+ *
+ * @param {string} condition
+ * @param {any} state
+ * @returns {boolean|undefined} - undefined if the condition cannot be evaluated locally
+ */
+function evaluatePlantUmlCondition (condition, state) {
+  const alternatives = splitPlantUmlExpression(condition, '||').map((alternative) => {
+    const operands = splitPlantUmlExpression(alternative, '&&').map((operand) => evaluatePlantUmlOperand(operand, state))
+    if (operands.includes(false)) {
+      return false
+    }
+    return operands.includes(undefined) ? undefined : true
+  })
+  if (alternatives.includes(true)) {
+    return true
+  }
+  return alternatives.includes(undefined) ? undefined : false
+}
+
+/**
+ * @param {string} operand
+ * @param {any} state
+ * @returns {boolean|undefined} - undefined if the operand cannot be evaluated locally
+ */
+function evaluatePlantUmlOperand (operand, state) {
+  operand = operand.trim().replace(/^\((.*)\)$/, '$1')
+  const comparison = operand.match(/^(.*?)\s*(==|!=|<=|>=|<|>)\s*(.*)$/)
+  if (comparison === null) {
+    const value = evaluatePlantUmlExpression(operand, state)
+    return typeof value === 'undefined' ? undefined : value !== '' && value !== '0'
+  }
+  const [, left, operator, right] = comparison
+  const leftValue = evaluatePlantUmlExpression(left, state)
+  const rightValue = evaluatePlantUmlExpression(right, state)
+  if (typeof leftValue === 'undefined' || typeof rightValue === 'undefined') {
+    return undefined
+  }
+  if (operator === '==' || operator === '!=') {
+    return (leftValue === rightValue) === (operator === '==')
+  }
+  if (!/^-?\d+$/.test(leftValue) || !/^-?\d+$/.test(rightValue)) {
+    return undefined
+  }
+  const difference = parseInt(leftValue, 10) - parseInt(rightValue, 10)
+  return { '<': difference < 0, '<=': difference <= 0, '>': difference > 0, '>=': difference >= 0 }[operator]
+}
+
+/**
+ * Evaluate an expression: strings, integers, variables, macros and the %getenv, %variable_exists and %defined functions.
+ * The strings can be concatenated with +.
+ *
+ * @param {string} expression
+ * @param {any} state
+ * @returns {string|undefined} - undefined if the expression cannot be evaluated locally
+ */
+function evaluatePlantUmlExpression (expression, state) {
+  const terms = splitPlantUmlExpression(expression, '+').map((term) => {
+    term = term.trim()
+    const string = term.match(/^"([^"]*)"$|^'([^']*)'$/)
+    if (string !== null) {
+      return { value: string[1] !== undefined ? string[1] : string[2] }
+    }
+    if (/^-?\d+$/.test(term)) {
+      return { value: term, integer: true }
+    }
+    const exists = term.match(/^%(?:variable_exists|defined)\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)$/)
+    if (exists !== null) {
+      const defined = isPlantUmlDefined(exists[1] || exists[2] || exists[3], state)
+      return { value: typeof defined === 'undefined' ? undefined : defined ? '1' : '0' }
+    }
+    if (/^%getenv\([^)]*\)$/.test(term)) {
+      return { value: substitutePlantUmlVariables(term, state) }
+    }
+    if (/^\$?[A-Za-z_]\w*$/.test(term) && typeof state.variables.get(term) === 'string') {
+      const value = state.variables.get(term)
+      return { value, integer: /^-?\d+$/.test(value) }
+    }
+    return { value: undefined }
+  })
+  if (terms.some((term) => typeof term.value === 'undefined') || (terms.length > 1 && terms.some((term) => term.integer))) {
+    // the integers are added by kroki server
+    return undefined
+  }
+  return terms.map((term) => term.value).join('')
+}
+
+/**
+ * Split an expression on an operator, except inside strings.
+ *
+ * @param {string} expression
+ * @param {string} operator
+ * @returns {string[]}
+ */
+function splitPlantUmlExpression (expression, operator) {
+  const parts = []
+  let quote
+  let start = 0
+  for (let index = 0; index < expression.length; index++) {
+    const char = expression[index]
+    if (typeof quote !== 'undefined') {
+      if (char === quote) {
+        quote = undefined
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char
+    } else if (expression.startsWith(operator, index)) {
+      parts.push(expression.substring(start, index))
+      index += operator.length - 1
+      start = index + 1
+    }
+  }
+  parts.push(expression.substring(start))
+  return parts
+}
+
+/**
+ * Replace the defined variables, the %getenv function calls and the defined macros used as a whole path segment
+ * (for instance: "$ROOT/skin.iuml" or "ROOT/skin.iuml", but not "styles/ROOT.iuml").
+ * The undefined variables are kept as is.
+ *
+ * @param {string} text
+ * @param {any} state
+ * @returns {string}
+ */
+function substitutePlantUmlVariables (text, state) {
+  return text.replace(/%getenv\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)|(?<![\w$])\$[A-Za-z_]\w*|(?<![^/\\])[A-Za-z_]\w*(?![^/\\!])/g, (match, ...args) => {
+    if (match.startsWith('%getenv')) {
+      const name = args[0] || args[1] || args[2]
+      return (typeof process !== 'undefined' && process.env && process.env[name]) || ''
+    }
+    const value = state.variables.get(match)
+    return typeof value === 'string' ? value : match
+  })
+}
+
+/**
+ * Get the URL of a theme: "!theme name from dir" is resolved from "dir",
+ * "!theme name" is resolved from the themes directory of the local standard library (if any).
+ *
+ * @param {string} name
+ * @param {string|undefined} from
+ * @param {string|undefined} stdlibDir
+ * @returns {string|undefined} - the URL of the theme or undefined if the theme should be resolved by kroki server
+ */
+function getPlantUmlThemeUrl (name, from, stdlibDir) {
+  const fileName = `puml-theme-${name}.puml`
+  if (typeof from !== 'undefined') {
+    if (from.startsWith('<')) {
+      return `<${from.substring(1, from.length - 1)}/${fileName}>`
+    }
+    return isRemoteUrl(from) ? `${from.replace(/\/$/, '')}/${fileName}` : path.join(from, fileName)
+  }
+  if (stdlibDir) {
+    return `<themes/${fileName}>`
+  }
+  return undefined
+}
+
+/**
+ * Resolve a standard library include file (for instance: "<C4/C4_Container>") from the local standard library.
+ *
+ * @param {string} url
+ * @param {string} stdlibDir
+ * @param {function} exists
+ * @returns {string|undefined} - the file path or undefined if the file does not exist
+ */
+function resolvePlantUmlStdlibInclude (url, stdlibDir, exists) {
+  const name = url.substring(1, url.length - 1)
+  return [name, `${name}.puml`, `${name}.iuml`]
+    .map((fileName) => path.join(stdlibDir, fileName))
+    .find((filePath) => exists(filePath))
+}
+
+/**
+ * Resolve an include file from the archives and the directories imported with the !import directive.
+ * The files of an archive are identified by the archive path followed by "!/" and the entry name (for instance: "lib.zip!/dir/style.iuml").
+ *
+ * @param {string} url
+ * @param {string} dirPath - directory of the including file (can be a directory of an archive)
+ * @param {any} state
+ * @returns {{filePath: string, text: string}|undefined}
+ */
+function resolvePlantUmlImportedFile (url, dirPath, state) {
+  const exists = getVfsFunction(state.vfs, 'exists')
+  const read = getVfsFunction(state.vfs, 'read')
+  for (const imported of state.imports) {
+    if (imported.entries) {
+      const prefix = `${imported.path}!/`
+      const names = dirPath.startsWith(prefix) ? [path.posix.join(dirPath.substring(prefix.length), url), url] : [url]
+      const name = names.map((name) => path.posix.normalize(name)).find((name) => imported.entries.has(name))
+      if (typeof name !== 'undefined') {
+        return { filePath: `${prefix}${name}`, text: imported.entries.get(name).toString('utf8') }
+      }
+    } else {
+      const filePath = path.join(imported.path, url)
+      if (exists(filePath)) {
+        return { filePath, text: readPlantUmlLocalFile(read, filePath) }
+      }
+    }
+  }
+  return undefined
 }
 
 /**
  * @param {string} url
  * @param {string} dirPath
- * @param {string[]} includeStack
- * @param {any} vfs
+ * @param {any} state
  * @returns {any}
  */
-function readPlantUmlInclude (url, dirPath, includeStack, vfs) {
-  const exists = typeof vfs !== 'undefined' && typeof vfs.exists === 'function' ? vfs.exists : require('./node-fs.js').exists
-  const read = typeof vfs !== 'undefined' && typeof vfs.read === 'function' ? vfs.read : require('./node-fs.js').read
+function readPlantUmlInclude (url, dirPath, state) {
+  const { includeStack, httpOptions, stdlibDir } = state
+  const exists = getVfsFunction(state.vfs, 'exists')
+  const read = getVfsFunction(state.vfs, 'read')
   let skip = false
   let text = ''
   let filePath = url
   if (url.startsWith('<')) {
-    // Only warn and do not throw an error, because the std-lib includes can perhaps be found by kroki server
-    console.warn(`Skipping preprocessing of PlantUML standard library include file '${url}'`)
-    skip = true
+    filePath = stdlibDir ? resolvePlantUmlStdlibInclude(url, stdlibDir, exists) : undefined
+    if (typeof filePath === 'undefined') {
+      // Only warn and do not throw an error, because the std-lib includes can perhaps be found by kroki server
+      console.warn(stdlibDir
+        ? `Skipping preprocessing of PlantUML standard library include file '${url}', because it was not found in the directory '${stdlibDir}' defined by kroki-plantuml-stdlib-dir attribute`
+        : `Skipping preprocessing of PlantUML standard library include file '${url}'`)
+      skip = true
+    } else if (includeStack.includes(filePath)) {
+      const message = `Preprocessing of PlantUML include failed, because recursive reading already included referenced file '${filePath}'`
+      throw new Error(message)
+    } else {
+      text = readPlantUmlLocalFile(read, filePath)
+    }
   } else if (includeStack.includes(url)) {
     const message = `Preprocessing of PlantUML include failed, because recursive reading already included referenced file '${url}'`
     throw new Error(message)
   } else {
     if (isRemoteUrl(url)) {
       try {
-        text = read(url)
+        text = read(url, 'utf8', httpOptions)
       } catch (e) {
         // Only warn and do not throw an error, because the data file can perhaps be found by kroki server (https://github.com/yuzutech/kroki/issues/60)
         console.warn(`Skipping preprocessing of PlantUML include, because reading the referenced remote file '${url}' caused an error:\n${e}`)
@@ -185,25 +669,131 @@ function readPlantUmlInclude (url, dirPath, includeStack, vfs) {
       }
     } else {
       filePath = path.join(dirPath, url)
-      if (!exists(filePath)) {
+      const imported = exists(filePath) ? undefined : resolvePlantUmlImportedFile(url, dirPath, state)
+      if (typeof imported !== 'undefined') {
+        filePath = imported.filePath
+      } else if (!exists(filePath)) {
         filePath = url
       }
       if (includeStack.includes(filePath)) {
         const message = `Preprocessing of PlantUML include failed, because recursive reading already included referenced file '${filePath}'`
         throw new Error(message)
       } else {
-        try {
-          text = read(filePath)
-        } catch (e) {
-          const message = `Preprocessing of PlantUML include failed, because reading the referenced local file '${filePath}' caused an error:\n${e}`
-          throw addCauseToError(new Error(message), e)
-        }
+        text = typeof imported !== 'undefined' ? imported.text : readPlantUmlLocalFile(read, filePath)
       }
     }
   }
   return { skip: skip, text: text, filePath: filePath }
 }
 
+/**
+ * Read the files of a directory referenced by the !includedir directive (sorted by name).
+ *
+ * @param {string} url
+ * @param {string} dirPath
+ * @param {any} state
+ * @returns {{skip: boolean, files: {filePath: string, text: string}[]}}
+ */
+function readPlantUmlIncludeDir (url, dirPath, state) {
+  if (isRemoteUrl(url)) {
+    // Only warn and do not throw an error, because the directory can perhaps be found by kroki server
+    console.warn(`Skipping preprocessing of PlantUML include directory '${url}', because the files of a remote directory cannot be listed`)
+    return { skip: true, files: [] }
+  }
+  const exists = getVfsFunction(state.vfs, 'exists')
+  const read = getVfsFunction(state.vfs, 'read')
+  const list = getVfsFunction(state.vfs, 'list')
+  let includeDirPath = path.join(dirPath, url)
+  if (!exists(includeDirPath)) {
+    includeDirPath = url
+  }
+  let fileNames
+  try {
+    fileNames = list(includeDirPath)
+  } catch (e) {
+    const message = `Preprocessing of PlantUML include failed, because reading the referenced local directory '${includeDirPath}' caused an error:\n${e}`
+    throw addCauseToError(new Error(message), e)
+  }
+  const files = fileNames.sort().map((fileName) => {
+    const filePath = path.join(includeDirPath, fileName)
+    if (state.includeStack.includes(filePath)) {
+      const message = `Preprocessing of PlantUML include failed, because recursive reading already included referenced file '${filePath}'`
+      throw new Error(message)
+    }
+    return { filePath, text: readPlantUmlLocalFile(read, filePath) }
+  })
+  return { skip: false, files }
+}
+
+/**
+ * Read an archive (.zip or .jar) or a directory referenced by the !import directive.
+ *
+ * @param {string} url
+ * @param {string} dirPath
+ * @param {any} state
+ * @returns {{skip: boolean, path: string, entries: Map<string, Buffer>|undefined}}
+ */
+function readPlantUmlImport (url, dirPath, state) {
+  const exists = getVfsFunction(state.vfs, 'exists')
+  const read = getVfsFunction(state.vfs, 'read')
+  const isArchive = /\.(zip|jar)$/i.test(url.replace(/[?#].*$/, ''))
+  let importPath = url
+  if (!isRemoteUrl(url)) {
+    importPath = path.join(dirPath, url)
+    if (!exists(importPath)) {
+      importPath = url
+    }
+  }
+  if (!isArchive) {
+    if (isRemoteUrl(url)) {
+      console.warn(`Skipping preprocessing of PlantUML import '${url}', because the files of a remote directory cannot be listed`)
+      return { skip: true, path: importPath, entries: undefined }
+    }
+    return { skip: false, path: importPath, entries: undefined }
+  }
+  let contents
+  try {
+    contents = isRemoteUrl(url) ? read(url, 'binary', state.httpOptions) : read(importPath, 'binary')
+  } catch (e) {
+    if (isRemoteUrl(url)) {
+      // Only warn and do not throw an error, because the archive can perhaps be found by kroki server
+      console.warn(`Skipping preprocessing of PlantUML import, because reading the referenced remote archive '${url}' caused an error:\n${e}`)
+      return { skip: true, path: importPath, entries: undefined }
+    }
+    const message = `Preprocessing of PlantUML import failed, because reading the referenced local archive '${importPath}' caused an error:\n${e}`
+    throw addCauseToError(new Error(message), e)
+  }
+  try {
+    return { skip: false, path: importPath, entries: require('./zip.js').readZipEntries(Buffer.from(contents, 'binary')) }
+  } catch (e) {
+    const message = `Preprocessing of PlantUML import failed, because the referenced archive '${importPath}' cannot be read:\n${e}`
+    throw addCauseToError(new Error(message), e)
+  }
+}
+
+/**
+ * @param {any} vfs
+ * @param {string} name - function name (exists, read or list)
+ * @returns {function}
+ */
+function getVfsFunction (vfs, name) {
+  return typeof vfs !== 'undefined' && typeof vfs[name] === 'function' ? vfs[name] : require('./node-fs.js')[name]
+}
+
+/**
+ * @param {function} read
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readPlantUmlLocalFile (read, filePath) {
+  try {
+    return read(filePath)
+  } catch (e) {
+    const message = `Preprocessing of PlantUML include failed, because reading the referenced local file '${filePath}' caused an error:\n${e}`
+    throw addCauseToError(new Error(message), e)
+  }
+}
+
 /**
  * @param {string} text
  * @param {string} sub
@@ -283,11 +873,20 @@ function getPlantUmlTextOrFirstBlock (text) {
  * @param {string[]} includeOnce
  */
 function checkIncludeOnce (text, filePath, includeOnce) {
+  checkIncludedOnce(filePath, includeOnce)
+  includeOnce.push(filePath)
+}
+
+/**
+ * Check that a file was not already included with the '!include_once' guard.
+ *
+ * @param {string} filePath
+ * @param {string[]} includeOnce
+ */
+function checkIncludedOnce (filePath, includeOnce) {
   if (includeOnce.includes(filePath)) {
     const message = `Preprocessing of PlantUML include failed, because including multiple times referenced file '${filePath}' with '!include_once' guard`
     throw new Error(message)
-  } else {
-    includeOnce.push(filePath)
   }
 }
 
@@ -0,0 +1,67 @@
+// @ts-check
+const { KrokiMemo } = require('./memo.js')
+
+/**
+ * A session shared by the documents converted during a build (see the session option of the register function).
+ * The session keeps the connections to the Kroki server alive, memoizes the Kroki responses and aggregates statistics.
+ */
+class KrokiSession {
+  /**
+   * @param {{httpClient?: any, memo?: any}} options - HTTP client (a client that keeps the connections alive is used by default in Node.js) and in-memory memo
+   */
+  constructor (options = {}) {
+    this.httpClient = options.httpClient
+    this.memo = options.memo || new KrokiMemo()
+    this.statistics = {
+      // number of diagrams requested by the documents
+      diagrams: 0,
+      // number of responses read from the in-memory memo
+      memoHits: 0,
+      // number of responses read from the cache (kroki-cache-dir)
+      cacheHits: 0,
+      // number of HTTP requests sent to the Kroki servers (including retries)
+      requests: 0,
+      // number of diagrams that could not be fetched
+      failures: 0
+    }
+  }
+
+  /**
+   * @returns {any} - the HTTP client of the session (only used in Node.js)
+   */
+  getHttpClient () {
+    if (typeof this.httpClient === 'undefined') {
+      // the connections are only kept alive on Node.js >= 12.3 (the default HTTP client is used otherwise)
+      const { isKeepAliveSupported, createSessionHttpClient } = require('./http/node-http-session.js')
+      this.httpClient = isKeepAliveSupported() ? createSessionHttpClient() : require('./http/node-http.js')
+    }
+    return this.httpClient
+  }
+
+  /**
+   * @returns {{diagrams: number, memoHits: number, cacheHits: number, requests: number, failures: number}} - the statistics of the whole build
+   */
+  getStatistics () {
+    return Object.assign({}, this.statistics)
+  }
+
+  /**
+   * Close the connections. The session can still be used afterwards (new connections are opened).
+   */
+  close () {
+    if (typeof this.httpClient !== 'undefined' && typeof this.httpClient.close === 'function') {
+      this.httpClient.close()
+    }
+  }
+}
+
+/**
+ * @param {{httpClient?: any, memo?: any}} options - see KrokiSession
+ * @returns {KrokiSession}
+ */
+const createSession = (options = {}) => new KrokiSession(options)
+
+module.exports = {
+  KrokiSession,
+  createSession
+}
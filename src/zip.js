@@ -0,0 +1,66 @@
+// @ts-check
+const zlib = require('zlib')
+
+// signatures of the ZIP records (see: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT)
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const CENTRAL_DIRECTORY_FILE_HEADER = 0x02014b50
+const LOCAL_FILE_HEADER = 0x04034b50
+
+/**
+ * Read the files of a ZIP archive (or a JAR archive).
+ * Only the stored and the deflated files are supported (ZIP64 and encrypted archives are not supported).
+ *
+ * @param {Buffer} buffer - contents of the archive
+ * @returns {Map<string, Buffer>} - the contents of the files by name (for instance: "dir/style.iuml")
+ */
+function readZipEntries (buffer) {
+  // the end of central directory record is followed by a comment (up to 65535 bytes)
+  let endOffset = -1
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 65535); offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset
+      break
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('invalid ZIP archive, the end of central directory record is missing')
+  }
+  const count = buffer.readUInt16LE(endOffset + 10)
+  let offset = buffer.readUInt32LE(endOffset + 16)
+  const entries = new Map()
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_FILE_HEADER) {
+      throw new Error('invalid ZIP archive, a central directory file header is missing')
+    }
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+    offset += 46 + nameLength + extraLength + commentLength
+    if (name.endsWith('/')) {
+      // directory
+      continue
+    }
+    if (buffer.readUInt32LE(localHeaderOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`invalid ZIP archive, the local file header of '${name}' is missing`)
+    }
+    // the length of the extra field can be different in the local file header
+    const dataOffset = localHeaderOffset + 30 + buffer.readUInt16LE(localHeaderOffset + 26) + buffer.readUInt16LE(localHeaderOffset + 28)
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize)
+    if (method === 0) {
+      entries.set(name, data)
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data))
+    } else {
+      throw new Error(`unsupported compression method ${method} for '${name}'`)
+    }
+  }
+  return entries
+}
+
+module.exports = {
+  readZipEntries
+}
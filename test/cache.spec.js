@@ -0,0 +1,148 @@
+/* global describe it beforeEach afterEach */
+// @ts-check
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+const dirtyChai = require('dirty-chai')
+const rimraf = require('rimraf')
+const sinon = require('sinon')
+
+chai.use(dirtyChai)
+
+const { KrokiCache, fromDocument, parseSize } = require('../src/cache.js')
+const { KrokiClient, KrokiDiagram, KrokiOfflineError } = require('../src/kroki-client.js')
+const { recordingHttpClient } = require('./helpers.js')
+const asciidoctorKroki = require('../src/asciidoctor-kroki.js')
+const asciidoctor = require('@asciidoctor/core')()
+
+describe('Kroki cache', () => {
+  let cacheDir
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-cache-'))
+  })
+
+  afterEach(() => {
+    rimraf.sync(cacheDir)
+  })
+
+  describe('Size', () => {
+    it('should parse a size with units', () => {
+      expect(parseSize('1024')).to.equal(1024)
+      expect(parseSize('2k')).to.equal(2048)
+      expect(parseSize('1M')).to.equal(1024 * 1024)
+      expect(parseSize('1gb')).to.equal(1024 * 1024 * 1024)
+      expect(parseSize('big')).to.be.undefined()
+      expect(parseSize(undefined)).to.be.undefined()
+    })
+  })
+
+  describe('Configuration', () => {
+    it('should not create a cache when kroki-cache-dir is undefined', () => {
+      const doc = asciidoctor.load('')
+      expect(fromDocument(doc)).to.be.undefined()
+    })
+    it('should create a cache from the document attributes', () => {
+      const doc = asciidoctor.load('', { attributes: { 'kroki-cache-dir': cacheDir, 'kroki-cache-max-size': '10k', 'kroki-cache-ttl': '60' } })
+      const cache = fromDocument(doc)
+      expect(cache.dirPath).to.equal(cacheDir)
+      expect(cache.maxSize).to.equal(10 * 1024)
+      expect(cache.ttl).to.equal(60)
+    })
+  })
+
+  describe('Kroki client', () => {
+    it('should only request the same diagram once', () => {
+      const doc = asciidoctor.load('')
+      const httpClient = recordingHttpClient()
+      const krokiClient = new KrokiClient(doc, httpClient, { cache: new KrokiCache(cacheDir) })
+      const first = krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')
+      const second = krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')
+      expect(first).to.equal('<svg>1</svg>')
+      expect(second).to.equal('<svg>1</svg>')
+      expect(httpClient.calls.length).to.equal(1)
+    })
+    it('should use the cache across clients', () => {
+      const doc = asciidoctor.load('')
+      const httpClient = recordingHttpClient()
+      new KrokiClient(doc, httpClient, { cache: new KrokiCache(cacheDir) }).getTextContent(new KrokiDiagram('plantuml', 'txt', 'alice -> bob'))
+      const text = new KrokiClient(doc, httpClient, { cache: new KrokiCache(cacheDir) }).getTextContent(new KrokiDiagram('plantuml', 'txt', 'alice -> bob'))
+      expect(text).to.equal('<svg>1</svg>')
+      expect(httpClient.calls.length).to.equal(1)
+    })
+    it('should only use the cache when kroki-offline is set', () => {
+      const httpClient = recordingHttpClient()
+      new KrokiClient(asciidoctor.load(''), httpClient, { cache: new KrokiCache(cacheDir) }).getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')
+      const krokiClient = new KrokiClient(asciidoctor.load('', { attributes: { 'kroki-offline': '' } }), httpClient, { cache: new KrokiCache(cacheDir) })
+      expect(krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')).to.equal('<svg>1</svg>')
+      expect(() => krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'bob -> alice'), 'utf8')).to.throw(KrokiOfflineError, 'The plantuml diagram is not available offline')
+      expect(httpClient.calls.length).to.equal(1)
+    })
+    it('should request the diagram when the format or the text is different', () => {
+      const doc = asciidoctor.load('')
+      const httpClient = recordingHttpClient()
+      const krokiClient = new KrokiClient(doc, httpClient, { cache: new KrokiCache(cacheDir) })
+      krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')
+      krokiClient.getImage(new KrokiDiagram('plantuml', 'png', 'alice -> bob'), 'utf8')
+      krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'bob -> alice'), 'utf8')
+      expect(httpClient.calls.length).to.equal(3)
+    })
+  })
+
+  describe('Eviction', () => {
+    it('should evict the cache once per conversion', () => {
+      const input = `
+[plantuml,format=txt]
+....
+alice -> bob: eviction
+....
+
+[plantuml,format=txt]
+....
+bob -> alice: eviction
+....
+`
+      const httpClient = recordingHttpClient((request, calls) => `0123456789${calls.length}`)
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { httpClient })
+      const evictSpy = sinon.spy(KrokiCache.prototype, 'evict')
+      try {
+        asciidoctor.convert(input, { extension_registry: registry, attributes: { 'kroki-cache-dir': cacheDir, 'kroki-cache-max-size': '15' } })
+        expect(httpClient.calls.length).to.equal(2)
+        expect(evictSpy.calledOnce).to.be.true()
+        expect(fs.readdirSync(cacheDir).length).to.equal(1)
+      } finally {
+        evictSpy.restore()
+      }
+    })
+    it('should request the diagram again when the entry is expired', () => {
+      const cache = new KrokiCache(cacheDir, undefined, 60)
+      const krokiDiagram = new KrokiDiagram('plantuml', 'svg', 'alice -> bob')
+      cache.set(krokiDiagram, '<svg></svg>')
+      expect(cache.get(krokiDiagram)).to.equal('<svg></svg>')
+      const twoMinutesAgo = new Date(Date.now() - 120 * 1000)
+      fs.utimesSync(cache.getFilePath(krokiDiagram), twoMinutesAgo, twoMinutesAgo)
+      expect(cache.get(krokiDiagram)).to.be.undefined()
+      expect(fs.existsSync(cache.getFilePath(krokiDiagram))).to.be.false()
+    })
+    it('should remove the least recently used entries when the cache is full', () => {
+      const cache = new KrokiCache(cacheDir, 20)
+      const first = new KrokiDiagram('plantuml', 'svg', 'first')
+      const second = new KrokiDiagram('plantuml', 'svg', 'second')
+      const third = new KrokiDiagram('plantuml', 'svg', 'third')
+      cache.set(first, '0123456789')
+      fs.utimesSync(cache.getFilePath(first), new Date(Date.now() - 20000), new Date(Date.now() - 20000))
+      cache.set(second, '0123456789')
+      fs.utimesSync(cache.getFilePath(second), new Date(Date.now() - 10000), new Date(Date.now() - 10000))
+      cache.set(third, '0123456789')
+      // the cache is only evicted once the document is converted
+      expect(fs.readdirSync(cacheDir).length).to.equal(3)
+      cache.evict()
+      expect(cache.get(first)).to.be.undefined()
+      expect(cache.get(second)).to.equal('0123456789')
+      expect(cache.get(third)).to.equal('0123456789')
+    })
+  })
+})
@@ -0,0 +1,268 @@
+/* global describe it */
+// @ts-check
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+const dirtyChai = require('dirty-chai')
+const rimraf = require('rimraf')
+const rusha = require('rusha')
+const sinon = require('sinon')
+
+chai.use(dirtyChai)
+
+const fetch = require('../src/fetch.js')
+const antoraAdapter = require('../src/antora-adapter.js')
+const { getOutputFormat } = require('../src/diagram-types.js')
+const { KrokiDiagram } = require('../src/kroki-client.js')
+const { memoryVfs } = require('./helpers.js')
+const asciidoctor = require('@asciidoctor/core')()
+
+describe('Fetch', () => {
+  function getChecksumPath (stateDir, filePath) {
+    return path.join(stateDir, 'checksums', `${rusha.createHash().update(filePath).digest('hex')}.json`)
+  }
+
+  function readChecksum (stateDir, filePath) {
+    const checksumPath = getChecksumPath(stateDir, filePath)
+    return fs.existsSync(checksumPath) ? JSON.parse(fs.readFileSync(checksumPath, 'utf8')) : undefined
+  }
+
+  function writeChecksum (stateDir, filePath, { hash, owners }) {
+    fs.mkdirSync(path.join(stateDir, 'checksums'), { recursive: true })
+    fs.writeFileSync(getChecksumPath(stateDir, filePath), JSON.stringify({ file: filePath, hash, owners }), 'utf8')
+  }
+
+  function stubKrokiClient (response) {
+    const calls = []
+    return {
+      calls,
+      getServerUrl: () => 'https://kroki.io',
+      getImage: (krokiDiagram, encoding) => {
+        calls.push({ format: krokiDiagram.format, encoding })
+        return response
+      }
+    }
+  }
+
+  describe('Output formats', () => {
+    it('should define the media type and the extension of each format', () => {
+      expect(getOutputFormat('svg')).to.include({ mediaType: 'image/svg+xml', extension: 'svg', encoding: 'binary' })
+      expect(getOutputFormat('png')).to.include({ mediaType: 'image/png', extension: 'png', encoding: 'binary' })
+      expect(getOutputFormat('jpeg')).to.include({ mediaType: 'image/jpeg', extension: 'jpeg', encoding: 'binary' })
+      expect(getOutputFormat('pdf')).to.include({ mediaType: 'application/pdf', extension: 'pdf', encoding: 'binary' })
+      expect(getOutputFormat('base64')).to.include({ mediaType: 'image/png', extension: 'png', encoding: 'utf8', base64: true })
+      expect(getOutputFormat('txt')).to.include({ mediaType: 'text/plain; charset=utf-8', extension: 'txt', encoding: 'utf8' })
+      expect(getOutputFormat('webp')).to.include({ mediaType: 'application/octet-stream', extension: 'webp', encoding: 'binary' })
+    })
+  })
+
+  describe('Save', () => {
+    it('should save a PDF diagram with the application/pdf media type', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images' } })
+      const vfs = memoryVfs()
+      const krokiClient = stubKrokiClient('%PDF-1.4\xe2\xe3')
+      const diagramName = fetch.save(new KrokiDiagram('graphviz', 'pdf', 'digraph { a -> b }'), doc, undefined, vfs, krokiClient)
+      expect(diagramName).to.match(/^diag-[0-9a-f]{40}\.pdf$/)
+      expect(krokiClient.calls).to.deep.equal([{ format: 'pdf', encoding: 'binary' }])
+      expect(vfs.files[0].basename).to.equal(diagramName)
+      expect(vfs.files[0].mediaType).to.equal('application/pdf')
+      expect(vfs.files[0].contents).to.deep.equal(Buffer.from('%PDF-1.4\xe2\xe3', 'binary'))
+    })
+    it('should save a JPEG diagram with the image/jpeg media type', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images' } })
+      const vfs = memoryVfs()
+      const diagramName = fetch.save(new KrokiDiagram('graphviz', 'jpeg', 'digraph { a -> b }'), doc, undefined, vfs, stubKrokiClient('\xff\xd8\xff'))
+      expect(diagramName).to.match(/\.jpeg$/)
+      expect(vfs.files[0].mediaType).to.equal('image/jpeg')
+    })
+    it('should decode a base64 diagram and save it as a PNG image', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images' } })
+      const vfs = memoryVfs()
+      const krokiClient = stubKrokiClient('iVBORw0KGgo=\n')
+      const diagramName = fetch.save(new KrokiDiagram('plantuml', 'base64', 'alice -> bob'), doc, undefined, vfs, krokiClient)
+      expect(diagramName).to.match(/\.png$/)
+      expect(krokiClient.calls).to.deep.equal([{ format: 'base64', encoding: 'utf8' }])
+      expect(vfs.files[0].mediaType).to.equal('image/png')
+      expect(vfs.files[0].contents).to.deep.equal(Buffer.from('\x89PNG\r\n\x1a\n', 'binary'))
+    })
+  })
+
+  describe('File name', () => {
+    it('should use a hash of the diagram type, format, text and options that does not depend on the Kroki server', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images' } })
+      const krokiDiagram = new KrokiDiagram('graphviz', 'svg', 'digraph { a -> b }', { layout: 'neato' })
+      const diagramName = fetch.save(krokiDiagram, doc, undefined, memoryVfs(), stubKrokiClient('<svg/>'))
+      expect(diagramName).to.equal(`diag-${krokiDiagram.getHash()}.svg`)
+      const otherDoc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images', 'kroki-server-url': 'https://kroki.example.com' } })
+      expect(fetch.save(krokiDiagram, otherDoc, undefined, memoryVfs(), stubKrokiClient('<svg/>'))).to.equal(diagramName)
+      expect(fetch.save(new KrokiDiagram('graphviz', 'svg', 'digraph { a -> b }'), doc, undefined, memoryVfs(), stubKrokiClient('<svg/>'))).to.not.equal(diagramName)
+    })
+    it('should derive the file name from the target', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images' } })
+      expect(fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> b'), doc, 'architecture-overview', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal('architecture-overview.svg')
+      expect(fetch.save(new KrokiDiagram('plantuml', 'png', 'b -> c'), doc, '/path/to/diagrams/sequence.puml', memoryVfs(), stubKrokiClient('\x89PNG'))).to.equal('sequence.png')
+      expect(fetch.save(new KrokiDiagram('plantuml', 'svg', 'c -> d'), doc, 'https://example.com/diagrams/class diagram.puml?raw=true', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal('class-diagram.svg')
+    })
+    it('should use the kroki-fetch-filename pattern', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images', docname: 'user guide', 'kroki-fetch-filename': '{docname}-{type}-{name}' } })
+      const krokiDiagram = new KrokiDiagram('plantuml', 'svg', 'a -> b')
+      expect(fetch.save(krokiDiagram, doc, 'overview', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal('user-guide-plantuml-overview.svg')
+      expect(fetch.save(new KrokiDiagram('plantuml', 'svg', 'b -> c'), doc, undefined, memoryVfs(), stubKrokiClient('<svg/>'))).to.match(/^user-guide-plantuml-diag-[0-9a-f]{40}\.svg$/)
+      const hashDoc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images', 'kroki-fetch-filename': '{type}/{hash}' } })
+      expect(fetch.save(krokiDiagram, hashDoc, 'overview', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal(`plantuml-${krokiDiagram.getHash()}.svg`)
+    })
+    it('should warn when the kroki-fetch-filename pattern does not contain the name or the hash', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images', 'kroki-fetch-filename': '{type}' } })
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        expect(fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> b'), doc, 'overview', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal('overview.svg')
+        expect(warnStub.calledWith('Invalid value \'{type}\' for kroki-fetch-filename attribute. The value must contain the {name} or the {hash} placeholder. Proceeding using: \'{name}\'.')).to.be.true()
+      } finally {
+        warnStub.restore()
+      }
+    })
+    it('should add a part of the hash when two different diagrams have the same name', () => {
+      const doc = asciidoctor.load('', { attributes: { imagesoutdir: 'build/images' } })
+      const first = new KrokiDiagram('plantuml', 'svg', 'a -> b')
+      const second = new KrokiDiagram('plantuml', 'svg', 'a -> b', { theme: 'dark' })
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        expect(fetch.save(first, doc, 'sequence.puml', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal('sequence.svg')
+        expect(fetch.save(first, doc, 'sequence.puml', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal('sequence.svg')
+        const diagramName = `sequence-${second.getHash().substring(0, 8)}.svg`
+        expect(fetch.save(second, doc, 'sequence.puml', memoryVfs(), stubKrokiClient('<svg/>'))).to.equal(diagramName)
+        expect(warnStub.calledOnceWith(`The diagram file name 'sequence.svg' is already used by another diagram. Proceeding using: '${diagramName}'.`)).to.be.true()
+      } finally {
+        warnStub.restore()
+      }
+    })
+    it('should fetch a named diagram again when it is modified', () => {
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-fetch-'))
+      try {
+        const attributes = { imagesoutdir: imagesOutputDir, docname: 'sequences' }
+        const krokiClient = stubKrokiClient('<svg>1</svg>')
+        fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> b'), asciidoctor.load('', { attributes }), 'sequence', undefined, krokiClient)
+        fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> b'), asciidoctor.load('', { attributes }), 'sequence', undefined, krokiClient)
+        expect(krokiClient.calls.length).to.equal(1)
+        const modifiedKrokiClient = stubKrokiClient('<svg>2</svg>')
+        fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> c'), asciidoctor.load('', { attributes }), 'sequence', undefined, modifiedKrokiClient)
+        expect(modifiedKrokiClient.calls.length).to.equal(1)
+        expect(fs.readFileSync(path.join(imagesOutputDir, 'sequence.svg'), 'utf8')).to.equal('<svg>2</svg>')
+      } finally {
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should add a part of the hash when two documents use the same name for different diagrams', () => {
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-fetch-'))
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const first = new KrokiDiagram('plantuml', 'svg', 'first -> overview')
+        const second = new KrokiDiagram('plantuml', 'svg', 'second -> overview')
+        const firstDoc = asciidoctor.load('', { attributes: { imagesoutdir: imagesOutputDir, docname: 'first' } })
+        const secondDoc = asciidoctor.load('', { attributes: { imagesoutdir: imagesOutputDir, docname: 'second' } })
+        expect(fetch.save(first, firstDoc, 'overview', undefined, stubKrokiClient('<svg>first</svg>'))).to.equal('overview.svg')
+        const diagramName = `overview-${second.getHash().substring(0, 8)}.svg`
+        expect(fetch.save(second, secondDoc, 'overview', undefined, stubKrokiClient('<svg>second</svg>'))).to.equal(diagramName)
+        expect(fs.readFileSync(path.join(imagesOutputDir, 'overview.svg'), 'utf8')).to.equal('<svg>first</svg>')
+        expect(fs.readFileSync(path.join(imagesOutputDir, diagramName), 'utf8')).to.equal('<svg>second</svg>')
+        // the same diagram can be shared
+        expect(fetch.save(first, secondDoc, 'overview', undefined, stubKrokiClient('<svg>first</svg>'))).to.equal('overview.svg')
+      } finally {
+        warnStub.restore()
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should add a part of the hash when the name was used by another document during a previous conversion', () => {
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-fetch-'))
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const stateDir = path.join(imagesOutputDir, 'state')
+        writeChecksum(stateDir, path.join(imagesOutputDir, 'overview.svg'), { hash: '0123456789abcdef0123456789abcdef01234567', owners: ['other.adoc'] })
+        fs.writeFileSync(path.join(imagesOutputDir, 'overview.svg'), '<svg>other</svg>', 'utf8')
+        const krokiDiagram = new KrokiDiagram('plantuml', 'svg', 'a -> overview')
+        const doc = asciidoctor.load('', { attributes: { imagesoutdir: imagesOutputDir, 'kroki-fetch-state-dir': stateDir, docname: 'index' } })
+        expect(fetch.save(krokiDiagram, doc, 'overview', undefined, stubKrokiClient('<svg/>'))).to.equal(`overview-${krokiDiagram.getHash().substring(0, 8)}.svg`)
+        expect(fs.readFileSync(path.join(imagesOutputDir, 'overview.svg'), 'utf8')).to.equal('<svg>other</svg>')
+      } finally {
+        warnStub.restore()
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should add a part of the hash when two documents added to a virtual file system use the same name for different diagrams', () => {
+      const vfs = memoryVfs()
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const attributes = { imagesoutdir: 'build/images/shared' }
+        expect(fetch.save(new KrokiDiagram('plantuml', 'svg', 'first -> shared'), asciidoctor.load('', { attributes }), 'shared', vfs, stubKrokiClient('<svg/>'))).to.equal('shared.svg')
+        const krokiDiagram = new KrokiDiagram('plantuml', 'svg', 'second -> shared')
+        expect(fetch.save(krokiDiagram, asciidoctor.load('', { attributes }), 'shared', vfs, stubKrokiClient('<svg/>'))).to.equal(`shared-${krokiDiagram.getHash().substring(0, 8)}.svg`)
+      } finally {
+        warnStub.restore()
+      }
+    })
+    it('should store the checksums outside the images output directory', () => {
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-fetch-'))
+      const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-state-'))
+      try {
+        const doc = asciidoctor.load('', { attributes: { imagesoutdir: imagesOutputDir, 'kroki-fetch-state-dir': stateDir, docname: 'index' } })
+        const krokiDiagram = new KrokiDiagram('plantuml', 'svg', 'a -> stored')
+        fetch.save(krokiDiagram, doc, 'stored', undefined, stubKrokiClient('<svg/>'))
+        expect(fs.readdirSync(imagesOutputDir)).to.deep.equal(['stored.svg'])
+        expect(readChecksum(stateDir, path.join(imagesOutputDir, 'stored.svg'))).to.deep.equal({ file: path.join(imagesOutputDir, 'stored.svg'), hash: krokiDiagram.getHash(), owners: ['index'] })
+      } finally {
+        rimraf.sync(imagesOutputDir)
+        rimraf.sync(stateDir)
+      }
+    })
+    it('should delete the checksums of the diagram files that are no longer used', () => {
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-fetch-'))
+      const stateDir = path.join(imagesOutputDir, 'state')
+      try {
+        const attributes = { imagesoutdir: imagesOutputDir, 'kroki-fetch-state-dir': stateDir, docname: 'index' }
+        let doc = asciidoctor.load('', { attributes })
+        fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> used'), doc, 'used', undefined, stubKrokiClient('<svg/>'))
+        fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> removed'), doc, 'removed', undefined, stubKrokiClient('<svg/>'))
+        expect(fetch.collectGarbage(doc, false)).to.deep.equal([])
+        doc = asciidoctor.load('', { attributes })
+        fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> used'), doc, 'used', undefined, stubKrokiClient('<svg/>'))
+        expect(fetch.collectGarbage(doc, true)).to.deep.equal([])
+        expect(readChecksum(stateDir, path.join(imagesOutputDir, 'removed.svg'))).to.not.be.undefined()
+        fetch.save(new KrokiDiagram('plantuml', 'svg', 'a -> used'), doc, 'used', undefined, stubKrokiClient('<svg/>'))
+        expect(fetch.collectGarbage(doc, false)).to.deep.equal([])
+        expect(readChecksum(stateDir, path.join(imagesOutputDir, 'removed.svg'))).to.be.undefined()
+        expect(readChecksum(stateDir, path.join(imagesOutputDir, 'used.svg'))).to.not.be.undefined()
+        // the named diagram files are never deleted
+        expect(fs.readdirSync(imagesOutputDir).sort()).to.deep.equal(['removed.svg', 'state', 'used.svg'])
+      } finally {
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+  })
+
+  describe('Antora', () => {
+    it('should add the diagram to the content catalog with its media type', () => {
+      const files = []
+      const contentCatalog = {
+        getById: () => undefined,
+        addFile: (file) => files.push(file)
+      }
+      const file = { src: { component: 'docs', version: 'master', module: 'ROOT' } }
+      antoraAdapter(file, contentCatalog).add({
+        relative: 'build/images',
+        basename: 'diag-abc.pdf',
+        mediaType: 'application/pdf',
+        contents: Buffer.from('%PDF-1.4')
+      })
+      expect(files[0].src).to.include({
+        family: 'image',
+        mediaType: 'application/pdf',
+        basename: 'diag-abc.pdf',
+        stem: 'diag-abc',
+        extname: '.pdf',
+        relative: 'diag-abc.pdf'
+      })
+    })
+  })
+})
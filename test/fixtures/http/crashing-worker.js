@@ -0,0 +1,8 @@
+// Worker thread that crashes when it receives a batch (see the Session tests)
+const { workerData } = require('worker_threads')
+
+require('../../../src/http/node-request-worker.js')
+
+workerData.port.on('message', () => {
+  throw new Error('unexpected error')
+})
@@ -0,0 +1,4 @@
+// Worker thread that never answers (see the Session tests)
+const { workerData } = require('worker_threads')
+
+workerData.port.on('message', () => {})
@@ -0,0 +1,68 @@
+// @ts-check
+// Stub HTTP clients and virtual file systems shared by the tests
+const path = require('path')
+
+/**
+ * Create an HTTP client that records the requests and answers them with the respond function.
+ * The respond function receives the request and the recorded requests, it can throw an error to simulate a failed request.
+ * By default, the response is an SVG image that contains the number of requests (e.g. <svg>1</svg>).
+ *
+ * @param {function({method: string, uri: string, body: string|undefined, encoding: string|undefined, options: any}, any[]): string} [respond]
+ * @param {{batch: boolean|undefined}} [options] - batch: also define a batch function (as the default Node HTTP client)
+ * @returns {{calls: any[], get: Function, post: Function, batch: Function|undefined}}
+ */
+function recordingHttpClient (respond = (request, calls) => `<svg>${calls.length}</svg>`, { batch } = { batch: false }) {
+  const calls = []
+  const send = (request) => {
+    calls.push(request)
+    return respond(request, calls)
+  }
+  const httpClient = {
+    calls,
+    get: (uri, encoding, options) => send({ method: 'GET', uri, body: undefined, encoding, options }),
+    post: (uri, body, encoding, options) => send({ method: 'POST', uri, body, encoding, options }),
+    batch: undefined
+  }
+  if (batch) {
+    // the errors are returned as results, the headers of each request are merged with the headers of the batch
+    httpClient.batch = (requests, encoding, concurrency, options = {}) => requests.map(({ method, uri, body, headers }) => {
+      try {
+        return { data: send({ method, uri, body, encoding, options: Object.assign({}, options, { headers: Object.assign({}, options.headers, headers) }) }) }
+      } catch (error) {
+        return { error }
+      }
+    })
+  }
+  return httpClient
+}
+
+/**
+ * Create a virtual file system from the contents of the files indexed by path.
+ * The added images are recorded but cannot be read.
+ *
+ * @param {{[filePath: string]: string}} [contents]
+ * @returns {{files: any[], exists: Function, read: Function, list: Function, add: Function}}
+ */
+function memoryVfs (contents = {}) {
+  const files = []
+  const list = (dirPath) => Object.keys(contents)
+    .filter((filePath) => path.dirname(filePath) === path.normalize(dirPath))
+    .map((filePath) => path.basename(filePath))
+  return {
+    files,
+    exists: (filePath) => filePath in contents || list(filePath).length > 0,
+    read: (filePath) => {
+      if (!(filePath in contents)) {
+        throw new Error(`unexpected read of ${filePath}`)
+      }
+      return contents[filePath]
+    },
+    list,
+    add: (image) => files.push(image)
+  }
+}
+
+module.exports = {
+  recordingHttpClient,
+  memoryVfs
+}
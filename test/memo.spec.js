@@ -0,0 +1,65 @@
+/* global describe it */
+// @ts-check
+const chai = require('chai')
+const expect = chai.expect
+const dirtyChai = require('dirty-chai')
+
+chai.use(dirtyChai)
+
+const { KrokiMemo } = require('../src/memo.js')
+const { KrokiClient, KrokiDiagram } = require('../src/kroki-client.js')
+const { recordingHttpClient } = require('./helpers.js')
+const asciidoctor = require('@asciidoctor/core')()
+
+describe('Kroki memo', () => {
+  it('should request the same diagram only once', () => {
+    const memo = new KrokiMemo()
+    const httpClient = recordingHttpClient()
+    const doc = asciidoctor.load('')
+    const first = new KrokiClient(doc, httpClient, { memo }).getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')
+    const second = new KrokiClient(asciidoctor.load(''), httpClient, { memo }).getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')
+    expect(first).to.equal('<svg>1</svg>')
+    expect(second).to.equal('<svg>1</svg>')
+    expect(httpClient.calls.length).to.equal(1)
+  })
+  it('should request the diagram again when the format, the options or the encoding are different', () => {
+    const memo = new KrokiMemo()
+    const httpClient = recordingHttpClient()
+    const krokiClient = new KrokiClient(asciidoctor.load(''), httpClient, { memo })
+    krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'utf8')
+    krokiClient.getImage(new KrokiDiagram('plantuml', 'png', 'alice -> bob'), 'utf8')
+    krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob', { theme: 'dark' }), 'utf8')
+    krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), 'binary')
+    expect(httpClient.calls.length).to.equal(4)
+  })
+  it('should memoize the responses of a batch', () => {
+    const memo = new KrokiMemo()
+    let batchSize = 0
+    const httpClient = Object.assign(recordingHttpClient(), {
+      batch: (requests) => {
+        batchSize += requests.length
+        return requests.map(() => ({ data: '<svg/>' }))
+      }
+    })
+    const krokiClient = new KrokiClient(asciidoctor.load(''), httpClient, { memo })
+    krokiClient.getImages([new KrokiDiagram('plantuml', 'svg', 'alice -> bob'), new KrokiDiagram('plantuml', 'svg', 'bob -> alice')], 'utf8', 2)
+    const results = krokiClient.getImages([new KrokiDiagram('plantuml', 'svg', 'alice -> bob')], 'utf8', 2)
+    expect(results).to.deep.equal([{ data: '<svg/>' }])
+    expect(krokiClient.getImage(new KrokiDiagram('plantuml', 'svg', 'bob -> alice'), 'utf8')).to.equal('<svg/>')
+    expect(batchSize).to.equal(2)
+    expect(httpClient.calls.length).to.equal(0)
+  })
+  it('should evict the least recently used responses', () => {
+    const memo = new KrokiMemo(2)
+    const first = new KrokiDiagram('plantuml', 'svg', 'a -> b')
+    const second = new KrokiDiagram('plantuml', 'svg', 'b -> c')
+    const third = new KrokiDiagram('plantuml', 'svg', 'c -> d')
+    memo.set(first, '1')
+    memo.set(second, '2')
+    expect(memo.get(first)).to.equal('1')
+    memo.set(third, '3')
+    expect(memo.get(first)).to.equal('1')
+    expect(memo.get(second)).to.be.undefined()
+    expect(memo.get(third)).to.equal('3')
+  })
+})
@@ -4,11 +4,13 @@ const fs = require('fs')
 const chai = require('chai')
 const expect = chai.expect
 const dirtyChai = require('dirty-chai')
+const sinon = require('sinon')
 const path = require('path')
 
 chai.use(dirtyChai)
 
 const { preprocessVegaLite } = require('../src/preprocess.js')
+const { memoryVfs } = require('./helpers.js')
 
 describe('Vega-Lite preprocessing', () => {
   it('should throw an error for invalid JSON', () => {
@@ -460,4 +462,366 @@ skinparam BackgroundColor black
       here -> there`
     )
   })
+
+  describe('Standard library', () => {
+    const stdlibDir = 'test/fixtures/plantuml/stdlib'
+
+    it('should return diagramText with inlined standard library files resolved from kroki-plantuml-stdlib-dir', () => {
+      const diagramText = `
+      !include <C4/C4_Container>
+      Container(api, "API")`
+      const includedText = fs.readFileSync(`${stdlibDir}/C4/C4_Context.puml`, 'utf8')
+      const includedText1 = fs.readFileSync(`${stdlibDir}/C4/C4_Container.puml`, 'utf8').replace('!include <C4/C4_Context>', includedText)
+      expect(preprocessPlantUML(diagramText, {}, '.', {}, stdlibDir)).to.be.equal(`
+${includedText1}
+      Container(api, "API")`)
+    })
+
+    it('should resolve kroki-plantuml-stdlib-dir from the base directory', () => {
+      const diagramText = '!include <C4/C4_Context.puml>'
+      const includedText = fs.readFileSync(`${stdlibDir}/C4/C4_Context.puml`, 'utf8')
+      expect(preprocessPlantUML(diagramText, {}, 'test/fixtures', {}, 'plantuml/stdlib')).to.be.equal(includedText)
+    })
+
+    it('should warn and return original diagramText when the standard library file is not found in kroki-plantuml-stdlib-dir', () => {
+      const diagramText = `
+      !include <awslib/AWSCommon>
+      alice -> bob`
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        expect(preprocessPlantUML(diagramText, {}, '.', {}, stdlibDir)).to.be.equal(diagramText)
+        expect(warnStub.calledOnceWith(`Skipping preprocessing of PlantUML standard library include file '<awslib/AWSCommon>', because it was not found in the directory '${path.resolve(stdlibDir)}' defined by kroki-plantuml-stdlib-dir attribute`)).to.be.true()
+      } finally {
+        warnStub.restore()
+      }
+    })
+
+    it('should return diagramText with inlined theme resolved from kroki-plantuml-stdlib-dir', () => {
+      const diagramText = `
+      !theme foo
+      alice -> bob`
+      const includedText = fs.readFileSync(`${stdlibDir}/themes/puml-theme-foo.puml`, 'utf8')
+      expect(preprocessPlantUML(diagramText, {}, '.', {}, stdlibDir)).to.be.equal(`
+${includedText}
+      alice -> bob`)
+    })
+
+    it('should return original diagramText with "!theme name" when kroki-plantuml-stdlib-dir is not defined, because it can be found by kroki server', () => {
+      const diagramText = `
+      !theme foo
+      alice -> bob`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(diagramText)
+    })
+
+    it('should return diagramText with inlined theme referenced with "!theme name from local-dir"', () => {
+      const diagramText = `
+      !theme dark from test/fixtures/plantuml/themes
+      alice -> bob`
+      const includedText = fs.readFileSync('test/fixtures/plantuml/themes/puml-theme-dark.puml', 'utf8')
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+${includedText}
+      alice -> bob`)
+    })
+  })
+
+  describe('Include directory and import', () => {
+    it('should return diagramText with inlined files of the directory referenced with "!includedir local-dir"', () => {
+      const diagramText = `
+      !includedir test/fixtures/plantuml/includedir
+      alice -> bob`
+      const includedText = fs.readFileSync('test/fixtures/plantuml/includedir/arrows.iuml', 'utf8')
+      const includedText1 = fs.readFileSync('test/fixtures/plantuml/includedir/background.iuml', 'utf8')
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+${includedText}
+${includedText1}
+      alice -> bob`)
+    })
+
+    it('should throw an error for unexisting local directory referenced with "!includedir local-dir"', () => {
+      const diagramText = '!includedir test/fixtures/plantuml/unexisting'
+      expect(() => preprocessPlantUML(diagramText, {})).to.throw('Preprocessing of PlantUML include failed, because reading the referenced local directory \'test/fixtures/plantuml/unexisting\' caused an error:')
+    })
+
+    it('should throw an error when a file of the directory referenced with "!includedir local-dir" was included with "!include_once"', () => {
+      const diagramText = `
+      !include_once test/fixtures/plantuml/includedir/arrows.iuml
+      !includedir test/fixtures/plantuml/includedir`
+      const errorMessage = 'Preprocessing of PlantUML include failed, because including multiple times referenced file \'test/fixtures/plantuml/includedir/arrows.iuml\' with \'!include_once\' guard'
+      expect(() => preprocessPlantUML(diagramText, {})).to.throw(errorMessage)
+    })
+
+    it('should throw an error when a directory referenced with "!includedir local-dir" includes itself', () => {
+      const vfs = memoryVfs({ [path.join('dir', 'self.iuml')]: '!includedir .' })
+      const errorMessage = `Preprocessing of PlantUML include failed, because recursive reading already included referenced file '${path.join('dir', 'self.iuml')}'`
+      expect(() => preprocessPlantUML('!includedir dir', { vfs })).to.throw(errorMessage)
+    })
+
+    it('should return diagramText with inlined files of the archive referenced with "!import local-archive"', () => {
+      const diagramText = `
+      !import test/fixtures/plantuml/library.zip
+      !include lib/style-lib.iuml
+      alice -> bob`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+
+skinparam ArrowColor #FF0000
+
+skinparam Handwritten true
+
+      alice -> bob`)
+    })
+
+    it('should return diagramText with inlined files of the directory referenced with "!import local-dir"', () => {
+      const diagramText = `
+      !import test/fixtures/plantuml/import-dir
+      !include notes.iuml
+      alice -> bob`
+      const includedText = fs.readFileSync('test/fixtures/plantuml/import-dir/notes.iuml', 'utf8')
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+
+${includedText}
+      alice -> bob`)
+    })
+
+    it('should throw an error for an invalid archive referenced with "!import local-archive"', () => {
+      const vfs = memoryVfs({ 'lib.zip': 'not an archive' })
+      expect(() => preprocessPlantUML('!import lib.zip', { vfs })).to.throw('Preprocessing of PlantUML import failed, because the referenced archive \'lib.zip\' cannot be read:\nError: invalid ZIP archive')
+    })
+  })
+
+  describe('Variables and conditions', () => {
+    const includedText = fs.readFileSync('test/fixtures/plantuml/style-general.iuml', 'utf8')
+
+    it('should return diagramText with inlined file referenced with a variable "!include $ROOT/file"', () => {
+      const diagramText = `
+      !$ROOT = "test/fixtures/plantuml"
+      !include $ROOT/style-general.iuml
+      alice -> bob`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !$ROOT = "test/fixtures/plantuml"
+${includedText}
+      alice -> bob`)
+    })
+
+    it('should return diagramText with inlined file referenced with a concatenated variable "!include $FILE"', () => {
+      const diagramText = `
+      !$ROOT = "test/fixtures"
+      !$FILE = $ROOT + '/plantuml/' + "style-general.iuml"
+      !include $FILE`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !$ROOT = "test/fixtures"
+      !$FILE = $ROOT + '/plantuml/' + "style-general.iuml"
+${includedText}`)
+    })
+
+    it('should not override a variable assigned with "?="', () => {
+      const diagramText = `
+      !$ROOT = "test/fixtures/plantuml"
+      !$ROOT ?= "test/fixtures/unexisting"
+      !include $ROOT/style-general.iuml`
+      expect(preprocessPlantUML(diagramText, {})).to.contain(includedText)
+    })
+
+    it('should return diagramText with inlined file referenced with a macro "!include ROOT/file"', () => {
+      const diagramText = `
+      !define ROOT test/fixtures/plantuml
+      !include ROOT/style-general.iuml`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !define ROOT test/fixtures/plantuml
+${includedText}`)
+    })
+
+    it('should return diagramText with inlined file referenced with an environment variable "!include %getenv("NAME")/file"', () => {
+      process.env.KROKI_TEST_PLANTUML_DIR = 'test/fixtures/plantuml'
+      try {
+        const diagramText = `
+        !$ROOT = %getenv("KROKI_TEST_PLANTUML_DIR")
+        !include $ROOT/style-general.iuml
+        !include %getenv("KROKI_TEST_PLANTUML_DIR")/style-general.iuml`
+        expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+        !$ROOT = %getenv("KROKI_TEST_PLANTUML_DIR")
+${includedText}
+${includedText}`)
+      } finally {
+        delete process.env.KROKI_TEST_PLANTUML_DIR
+      }
+    })
+
+    it('should use the variables assigned in an included file', () => {
+      const vfs = memoryVfs({
+        'variables.iuml': '!$ROOT = "shared"',
+        [path.join('shared', 'skin.iuml')]: 'skinparam Handwritten true'
+      })
+      const diagramText = `
+      !include variables.iuml
+      !include $ROOT/skin.iuml`
+      expect(preprocessPlantUML(diagramText, { vfs })).to.be.equal(`
+!$ROOT = "shared"
+skinparam Handwritten true`)
+    })
+
+    it('should only replace the macros used as a whole path segment', () => {
+      const diagramText = `
+      !define style dark
+      !define fixtures test/fixtures/plantuml
+      !include fixtures/style.iuml`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !define style dark
+      !define fixtures test/fixtures/plantuml
+${preprocessPlantUML('!include test/fixtures/plantuml/style.iuml', {})}`)
+    })
+
+    it('should keep the variables that are not defined', () => {
+      const diagramText = '!include $UNDEFINED/style.iuml'
+      const errorMessage = 'Preprocessing of PlantUML include failed, because reading the referenced local file \'$UNDEFINED/style.iuml\' caused an error:'
+      expect(() => preprocessPlantUML(diagramText, {})).to.throw(errorMessage)
+    })
+
+    it('should only keep the branch taken by "!ifdef", "!ifndef" and "!else"', () => {
+      const diagramText = `
+      !define LIGHT
+      !ifdef DARK
+      !include test/fixtures/plantuml/unexisting-dark.iuml
+      !else
+      !include test/fixtures/plantuml/style-general.iuml
+      !endif
+      !ifndef LIGHT
+      !include test/fixtures/plantuml/unexisting-light.iuml
+      !endif`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !define LIGHT
+${includedText}`)
+    })
+
+    it('should only keep the branch taken by "!if" and "!elseif"', () => {
+      const diagramText = `
+      !$THEME = "note"
+      !if $THEME == "dark" || %variable_exists("$DARK")
+      !include test/fixtures/plantuml/unexisting-dark.iuml
+      !elseif $THEME != "general" && %getenv("KROKI_TEST_UNDEFINED") == ""
+      !include test/fixtures/plantuml/style-$THEME.iuml
+      !else
+      !include test/fixtures/plantuml/style-general.iuml
+      !endif`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !$THEME = "note"
+${fs.readFileSync('test/fixtures/plantuml/style-note.iuml', 'utf8')}`)
+    })
+
+    it('should not keep a branch that kroki server could take instead of the branch taken locally', () => {
+      process.env.KROKI_TEST_CI = 'true'
+      try {
+        const diagramText = `
+        !if %getenv("KROKI_TEST_CI") == "true"
+        !include test/fixtures/plantuml/style-general.iuml
+        !else
+        !include test/fixtures/plantuml/unexisting-local.iuml
+        !endif
+        alice -> bob`
+        expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+${includedText}
+        alice -> bob`)
+      } finally {
+        delete process.env.KROKI_TEST_CI
+      }
+    })
+
+    it('should keep an unbalanced directive', () => {
+      const diagramText = `
+      !endif
+      alice -> bob`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(diagramText)
+    })
+
+    it('should not evaluate the definitions of a branch that is not taken', () => {
+      const diagramText = `
+      !$ROOT = "test/fixtures/plantuml"
+      !if 0
+      !$ROOT = "test/fixtures/unexisting"
+      !if 1
+      !include $ROOT/unexisting.iuml
+      !endif
+      !endif
+      !include $ROOT/style-general.iuml`
+      expect(preprocessPlantUML(diagramText, {})).to.contain(includedText)
+    })
+
+    it('should keep the conditions of a block without include directives', () => {
+      const diagramText = `
+      !$count = 3
+      !if $count > 5
+      alice -> bob : many
+      !else
+      alice -> bob : few
+      !endif`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(diagramText)
+    })
+
+    it('should compare integers with "<" and ">"', () => {
+      const diagramText = `
+      !$count = 3
+      !if $count > 5
+      !include test/fixtures/plantuml/unexisting-many.iuml
+      !elseif $count < 5
+      !include test/fixtures/plantuml/style-general.iuml
+      !endif`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !$count = 3
+${includedText}`)
+    })
+
+    it('should keep all the branches when a condition cannot be evaluated', () => {
+      const noteText = fs.readFileSync('test/fixtures/plantuml/style-note.iuml', 'utf8')
+      const diagramText = `
+      !$count = "3"
+      !if $count + 1 > 3 || $UNDEFINED == "dark"
+      !include test/fixtures/plantuml/style-note.iuml
+      !else
+      !include test/fixtures/plantuml/style-general.iuml
+      !endif`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !$count = "3"
+      !if $count + 1 > 3 || $UNDEFINED == "dark"
+${noteText}
+      !else
+${includedText}
+      !endif`)
+    })
+
+    it('should not evaluate the conditions in the body of a procedure', () => {
+      const noteText = fs.readFileSync('test/fixtures/plantuml/style-note.iuml', 'utf8')
+      const diagramText = `
+      !$name = "alice"
+      !procedure $greet($name)
+      !if $name == "bob"
+      !include test/fixtures/plantuml/style-note.iuml
+      !else
+      !include test/fixtures/plantuml/style-general.iuml
+      !endif
+      $name -> bob : hello
+      !endprocedure
+      $greet("bob")`
+      expect(preprocessPlantUML(diagramText, {})).to.be.equal(`
+      !$name = "alice"
+      !procedure $greet($name)
+      !if $name == "bob"
+${noteText}
+      !else
+${includedText}
+      !endif
+      $name -> bob : hello
+      !endprocedure
+      $greet("bob")`)
+    })
+
+    it('should not use the variables assigned in a branch that kroki server could take or not', () => {
+      const diagramText = `
+      !$ROOT = "test/fixtures/plantuml"
+      !if %getenv("KROKI_TEST_UNDEFINED") == "" && $UNDEFINED
+      !$ROOT = "test/fixtures/unexisting"
+      !endif
+      !include $ROOT/style-general.iuml`
+      const errorMessage = 'Preprocessing of PlantUML include failed, because reading the referenced local file \'$ROOT/style-general.iuml\' caused an error:'
+      expect(() => preprocessPlantUML(diagramText, {})).to.throw(errorMessage)
+    })
+  })
 })
@@ -0,0 +1,178 @@
+/* global describe it before after */
+// @ts-check
+const childProcess = require('child_process')
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+const dirtyChai = require('dirty-chai')
+const sinon = require('sinon')
+
+chai.use(dirtyChai)
+
+const asciidoctorKroki = require('../src/asciidoctor-kroki.js')
+const { KrokiSession } = require('../src/session.js')
+const { isKeepAliveSupported, createSessionHttpClient } = require('../src/http/node-http-session.js')
+const { recordingHttpClient } = require('./helpers.js')
+const asciidoctor = require('@asciidoctor/core')()
+
+describe('Session', () => {
+  function stubHttpClient () {
+    return recordingHttpClient(({ uri }) => {
+      if (uri.includes('/error/')) {
+        throw Object.assign(new Error(`GET ${uri} - server returns a 400 status code`), { status: 400 })
+      }
+      if (uri.includes('/txt/')) {
+        return 'legend'
+      }
+      return '<svg/>'
+    })
+  }
+
+  it('should aggregate the statistics of the documents converted with the same session', () => {
+    const httpClient = stubHttpClient()
+    const session = asciidoctorKroki.createSession({ httpClient })
+    const registry = asciidoctor.Extensions.create()
+    asciidoctorKroki.register(registry, { session })
+    const input = `
+[plantuml,format=txt]
+....
+session -> legend
+....
+
+[plantuml,format=txt]
+....
+session -> legend
+....
+`
+    asciidoctor.convert(input, { extension_registry: registry })
+    asciidoctor.convert(input, { extension_registry: registry })
+    expect(httpClient.calls.length).to.equal(1)
+    expect(session.getStatistics()).to.deep.equal({ diagrams: 4, memoHits: 3, cacheHits: 0, requests: 1, failures: 0 })
+  })
+  it('should count the diagrams that could not be fetched', () => {
+    const httpClient = stubHttpClient()
+    const session = asciidoctorKroki.createSession({ httpClient })
+    const registry = asciidoctor.Extensions.create()
+    asciidoctorKroki.register(registry, { session })
+    const input = `
+:kroki-server-url: https://kroki.example.com/error
+
+[plantuml,format=txt]
+....
+session -> error
+....
+`
+    const warnStub = sinon.stub(console, 'warn')
+    try {
+      asciidoctor.convert(input, { extension_registry: registry })
+    } finally {
+      warnStub.restore()
+    }
+    expect(session.getStatistics()).to.include({ diagrams: 1, requests: 1, failures: 1 })
+  })
+  it('should not share the memo between sessions', () => {
+    const httpClient = stubHttpClient()
+    const input = `
+[plantuml,format=txt]
+....
+session -> isolated
+....
+`
+    for (const session of [asciidoctorKroki.createSession({ httpClient }), asciidoctorKroki.createSession({ httpClient })]) {
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { session })
+      asciidoctor.convert(input, { extension_registry: registry })
+    }
+    expect(httpClient.calls.length).to.equal(2)
+  })
+  it('should use a new connection for each request when the connections cannot be kept alive', function () {
+    if (isKeepAliveSupported()) {
+      this.skip()
+    }
+    expect(new KrokiSession().getHttpClient()).to.equal(require('../src/http/node-http.js'))
+  })
+  it('should throw an error when the session option is invalid', () => {
+    const registry = asciidoctor.Extensions.create()
+    expect(() => asciidoctorKroki.register(registry, { session: {} })).to.throw('Invalid session option. The session must be created using the createSession function.')
+  })
+
+  describe('Keep-alive', () => {
+    let server
+    let port
+
+    before(function (done) {
+      if (!isKeepAliveSupported()) {
+        // the worker threads are not available (Node.js < 12.3)
+        this.skip()
+      }
+      // the server runs in another process since the calling thread is blocked while waiting for the responses
+      server = childProcess.spawn(process.execPath, ['-e', `
+const http = require('http')
+let connections = 0
+const server = http.createServer((req, res) => res.end('connection ' + req.socket.id))
+server.on('connection', (socket) => { socket.id = ++connections })
+server.listen(0, '127.0.0.1', () => console.log(server.address().port))
+`])
+      server.stdout.once('data', (data) => {
+        port = parseInt(data.toString('utf8'), 10)
+        done()
+      })
+    })
+
+    after(() => {
+      if (server) {
+        server.kill()
+      }
+    })
+
+    it('should reuse the connection between requests', () => {
+      const session = new KrokiSession()
+      const httpClient = session.getHttpClient()
+      try {
+        expect(httpClient.get(`http://127.0.0.1:${port}/first`)).to.equal('connection 1')
+        expect(httpClient.post(`http://127.0.0.1:${port}/second`, 'body')).to.equal('connection 1')
+        const results = httpClient.batch([{ method: 'GET', uri: `http://127.0.0.1:${port}/third` }], 'utf8', 1)
+        expect(results).to.deep.equal([{ data: 'connection 1' }])
+      } finally {
+        session.close()
+      }
+      // a new connection is opened after the session is closed
+      try {
+        expect(httpClient.get(`http://127.0.0.1:${port}/fourth`)).to.equal('connection 2')
+      } finally {
+        session.close()
+      }
+    })
+    it('should return the errors', () => {
+      const session = new KrokiSession()
+      try {
+        expect(() => session.getHttpClient().get('http://127.0.0.1:1/unreachable')).to.throw('GET http://127.0.0.1:1/unreachable - error; reason: connect ECONNREFUSED')
+      } finally {
+        session.close()
+      }
+    })
+    it('should stop waiting when the worker thread does not answer in time', () => {
+      const httpClient = createSessionHttpClient(path.join(__dirname, 'fixtures', 'http', 'unresponsive-worker.js'))
+      try {
+        const results = httpClient.batch([{ method: 'GET', uri: `http://127.0.0.1:${port}/first` }, { method: 'GET', uri: `http://127.0.0.1:${port}/second` }], 'utf8', 2, { timeout: 50 })
+        expect(results.map((result) => result.error.message)).to.deep.equal([
+          `GET http://127.0.0.1:${port}/first - error; reason: timeout of 1100ms exceeded`,
+          `GET http://127.0.0.1:${port}/second - error; reason: timeout of 1100ms exceeded`
+        ])
+        expect(results[0].error.status).to.equal(0)
+      } finally {
+        httpClient.close()
+      }
+    }).timeout(5000)
+    it('should fail the pending requests when the worker thread crashes', () => {
+      const httpClient = createSessionHttpClient(path.join(__dirname, 'fixtures', 'http', 'crashing-worker.js'))
+      try {
+        expect(() => httpClient.get(`http://127.0.0.1:${port}/crash`)).to.throw(`GET http://127.0.0.1:${port}/crash - error; reason: the worker thread stopped unexpectedly`)
+        // a new worker thread is started
+        expect(() => httpClient.get(`http://127.0.0.1:${port}/crash`)).to.throw('the worker thread stopped unexpectedly')
+      } finally {
+        httpClient.close()
+      }
+    })
+  })
+})
@@ -1,9 +1,11 @@
-/* global describe it before */
+/* global describe it before beforeEach */
 const fs = require('fs')
 const fsPromises = require('fs').promises
+const os = require('os')
 const rusha = require('rusha')
 const pako = require('pako')
 const delDir = require('./delDir')
+const { recordingHttpClient } = require('./helpers.js')
 const path = require('path')
 const chai = require('chai')
 const sinon = require('sinon')
@@ -15,6 +17,7 @@ const dirtyChai = require('dirty-chai')
 chai.use(dirtyChai)
 
 const asciidoctorKroki = require('../src/asciidoctor-kroki.js')
+const { memo } = require('../src/memo.js')
 const asciidoctor = require('@asciidoctor/core')()
 
 describe('Registration', () => {
@@ -30,6 +33,110 @@ describe('Registration', () => {
     expect(registry['$registered_for_block_macro?']('rackdiag')).to.be.an('object')
     expect(registry['$registered_for_block_macro?']('wavedrom')).to.be.an('object')
   })
+  it('should register additional diagram types and remove diagram types defined in the context', () => {
+    const registry = asciidoctor.Extensions.create()
+    asciidoctorKroki.register(registry, { diagramTypes: ['d2', '-bpmn', 'structurizr'] })
+    expect(registry['$registered_for_block?']('d2', 'listing')).to.be.an('object')
+    expect(registry['$registered_for_block_macro?']('d2')).to.be.an('object')
+    expect(registry['$registered_for_block_macro?']('structurizr')).to.be.an('object')
+    expect(registry['$registered_for_block_macro?']('plantuml')).to.be.an('object')
+    expect(registry['$registered_for_block_macro?']('bpmn')).to.be.false()
+  })
+  it('should register aliases defined in the context', () => {
+    const input = `
+[puml]
+....
+alice -> bob
+....
+`
+    const registry = asciidoctor.Extensions.create()
+    asciidoctorKroki.register(registry, { diagramAliases: { puml: 'plantuml' } })
+    expect(registry['$registered_for_block_macro?']('puml')).to.be.an('object')
+    expect(registry['$registered_for_block_macro?']('plantuml')).to.be.an('object')
+    const html = asciidoctor.convert(input, { extension_registry: registry })
+    expect(html).to.contain('https://kroki.io/plantuml/svg/eNpLzMlMTlXQtVNIyk8CABoDA90=')
+    expect(html).to.contain('<div class="imageblock puml kroki-format-svg kroki">')
+  })
+  it('should register aliases defined in the kroki-diagram-aliases attribute', () => {
+    try {
+      asciidoctorKroki.register(asciidoctor.Extensions)
+      const input = `
+[dot,role=graph]
+....
+digraph G { Hello->World }
+....
+`
+      const html = asciidoctor.convert(input, { attributes: { 'kroki-diagram-aliases': 'dot=graphviz, puml=plantuml' } })
+      expect(html).to.contain('https://kroki.io/graphviz/svg/')
+      expect(html).to.contain('<div class="imageblock graph dot kroki-format-svg kroki">')
+    } finally {
+      asciidoctor.Extensions.unregisterAll()
+    }
+  })
+  it('should throw an error when the HTTP client is invalid', () => {
+    const registry = asciidoctor.Extensions.create()
+    expect(() => asciidoctorKroki.register(registry, { httpClient: { get: () => '' } })).to.throw('Invalid httpClient option. The HTTP client must implement the following functions: get(uri, encoding, options) and post(uri, body, encoding, options).')
+  })
+  it('should use the HTTP client defined in the context', () => {
+    const input = `
+[plantuml,format=txt]
+....
+alice -> bob
+....
+`
+    const httpClient = recordingHttpClient(() => 'alice -> bob (from a custom HTTP client)')
+    const registry = asciidoctor.Extensions.create()
+    asciidoctorKroki.register(registry, { httpClient })
+    const html = asciidoctor.convert(input, { extension_registry: registry })
+    expect(html).to.contain('<pre>alice -&gt; bob (from a custom HTTP client)</pre>')
+    expect(httpClient.calls.map(({ method, uri, encoding }) => ({ method, uri, encoding }))).to.deep.equal([{ method: 'GET', uri: 'https://kroki.io/plantuml/txt/eNpLzMlMTlXQtVNIyk8CABoDA90=', encoding: 'utf8' }])
+  })
+  it('should resolve the network options once per document', () => {
+    const input = `
+[plantuml,format=txt]
+....
+alice -> bob: network options
+....
+
+[plantuml,format=txt]
+....
+bob -> alice: network options
+....
+`
+    const httpClient = recordingHttpClient()
+    const registry = asciidoctor.Extensions.create()
+    asciidoctorKroki.register(registry, { httpClient })
+    const warnStub = sinon.stub(console, 'warn')
+    try {
+      asciidoctor.convert(input, { extension_registry: registry, attributes: { 'kroki-tls-ca-file': 'missing-ca.pem' } })
+      expect(httpClient.calls.length).to.equal(2)
+      expect(warnStub.calledOnce).to.be.true()
+      expect(warnStub.firstCall.args[0]).to.contain('Unable to read the certificate authority file')
+    } finally {
+      warnStub.restore()
+    }
+  })
+  it('should register diagram types defined in the kroki-diagram-types attribute', () => {
+    try {
+      asciidoctorKroki.register(asciidoctor.Extensions)
+      const input = `
+[d2]
+....
+x -> y
+....
+
+[plantuml]
+....
+alice -> bob
+....
+`
+      const html = asciidoctor.convert(input, { attributes: { 'kroki-diagram-types': 'd2, -plantuml' } })
+      expect(html).to.contain('https://kroki.io/d2/svg/eNqrUNC1U6gEAAWdAZ0=')
+      expect(html).to.not.contain('https://kroki.io/plantuml/svg/')
+    } finally {
+      asciidoctor.Extensions.unregisterAll()
+    }
+  })
 })
 
 describe('Conversion', () => {
@@ -37,6 +144,11 @@ describe('Conversion', () => {
     rimraf.sync(`${__dirname}/../.asciidoctor/kroki/*`)
   })
 
+  beforeEach(() => {
+    // the responses are memoized across conversions
+    memo.clear()
+  })
+
   function encode (file) {
     const text = fs.readFileSync(file, 'utf8')
     return encodeText(text)
@@ -104,9 +216,7 @@ plantuml::test/fixtures/alice.puml[svg,role=sequence]
         extension_registry: registry,
         attributes: { 'kroki-fetch-diagram': true }
       })
-      const file = `${__dirname}/fixtures/alice.puml`
-      const hash = rusha.createHash().update(`https://kroki.io/plantuml/svg/${encode(file)}`).digest('hex')
-      expect(html).to.contain(`<img src=".asciidoctor/kroki/diag-${hash}.svg" alt="Diagram">`)
+      expect(html).to.contain('<img src=".asciidoctor/kroki/alice.svg" alt="Diagram">')
     }).timeout(5000)
     it('should include the plantuml-config at the top of the diagram', () => {
       const file = `${__dirname}/fixtures/alice.puml`
@@ -158,7 +268,7 @@ Hello -> World
         extension_registry: registry,
         attributes: { 'kroki-fetch-diagram': true }
       })
-      expect(html).to.contain('<img src=".asciidoctor/kroki/diag-7a123c0b2909750ca5526554cd8620774ccf6cd9.svg" alt="hello-world">')
+      expect(html).to.contain('<img src=".asciidoctor/kroki/hello-world.svg" alt="hello-world">')
     })
     it('should download and save an image to a local folder and generated name', () => {
       const input = `
@@ -175,7 +285,7 @@ Hello -> World
         extension_registry: registry,
         attributes: { 'kroki-fetch-diagram': true }
       })
-      expect(html).to.contain('<img src=".asciidoctor/kroki/diag-7a123c0b2909750ca5526554cd8620774ccf6cd9.svg" alt="Diagram">')
+      expect(html).to.contain('<img src=".asciidoctor/kroki/diag-dee22f77163e80cb2efd84b4c32da9aabc3a2b74.svg" alt="Diagram">')
     })
     it('should apply substitutions in diagram block', () => {
       const input = `
@@ -211,9 +321,7 @@ plantuml::{fixtures-dir}/alice.puml[svg,role=sequence]
         extension_registry: registry,
         attributes: { 'kroki-fetch-diagram': true }
       })
-      const file = `${__dirname}/fixtures/alice.puml`
-      const hash = rusha.createHash().update(`https://kroki.io/plantuml/svg/${encode(file)}`).digest('hex')
-      expect(html).to.contain(`<img src=".asciidoctor/kroki/diag-${hash}.svg" alt="Diagram">`)
+      expect(html).to.contain('<img src=".asciidoctor/kroki/alice.svg" alt="Diagram">')
     })
     it('should not download twice the same image with generated name', () => {
       const input = `
@@ -232,12 +340,100 @@ AsciiDoc -> HTML5: convert
           extension_registry: registry,
           attributes: { 'kroki-fetch-diagram': true }
         })
-        expect(html).to.contain('<img src=".asciidoctor/kroki/diag-ea85be88a0e4e5fb02f59602af7fe207feb5b904.svg" alt="Diagram">')
+        expect(html).to.contain('<img src=".asciidoctor/kroki/diag-ca0d09d7abab2b3611e19b186e5b0d8f454e7c3c.svg" alt="Diagram">')
         expect(http.get.calledOnce).to.be.true()
       } finally {
         http.get.restore()
       }
     })
+    it('should fetch the images concurrently when kroki-fetch-mode is async', () => {
+      const input = `
+:imagesdir: .asciidoctor/kroki
+
+[plantuml,"",svg]
+....
+alice -> bob: hello
+....
+
+[plantuml,"",svg]
+....
+bob -> alice: hi
+....
+
+[plantuml,"",svg]
+....
+alice -> bob: hello
+....
+`
+      sinon.stub(http, 'get').returns('<svg/>')
+      sinon.stub(http, 'batch').callsFake((requests) => requests.map((request) => ({ data: `<svg>${request.uri}</svg>` })))
+      try {
+        const registry = asciidoctor.Extensions.create()
+        asciidoctorKroki.register(registry)
+        const html = asciidoctor.convert(input, {
+          extension_registry: registry,
+          attributes: { 'kroki-fetch-diagram': true, 'kroki-fetch-mode': 'async', 'kroki-fetch-concurrency': 2 }
+        })
+        const helloHash = rusha.createHash().update('plantuml\nsvg\nalice -> bob: hello').digest('hex')
+        const hiHash = rusha.createHash().update('plantuml\nsvg\nbob -> alice: hi').digest('hex')
+        expect(html).to.contain(`<img src=".asciidoctor/kroki/diag-${helloHash}.svg" alt="Diagram">`)
+        expect(html).to.contain(`<img src=".asciidoctor/kroki/diag-${hiHash}.svg" alt="Diagram">`)
+        expect(http.get.called).to.be.false()
+        expect(http.batch.calledOnce).to.be.true()
+        expect(http.batch.firstCall.args[0].length).to.equal(2)
+        expect(http.batch.firstCall.args[2]).to.equal(2)
+        expect(fs.readFileSync(`${__dirname}/../.asciidoctor/kroki/diag-${helloHash}.svg`, 'utf8')).to.equal(`<svg>https://kroki.io/plantuml/svg/${encodeText('alice -> bob: hello')}</svg>`)
+        expect(fs.readFileSync(`${__dirname}/../.asciidoctor/kroki/diag-${hiHash}.svg`, 'utf8')).to.equal(`<svg>https://kroki.io/plantuml/svg/${encodeText('bob -> alice: hi')}</svg>`)
+      } finally {
+        http.get.restore()
+        http.batch.restore()
+      }
+    }).timeout(5000)
+    it('should replace the image blocks that cannot be fetched by the fallback blocks when kroki-fetch-mode is async', () => {
+      const input = `
+:imagesdir: .asciidoctor/kroki
+
+[graphviz,role=graph]
+....
+digraph G {
+  a -> b
+  c ->
+}
+....
+
+[plantuml,"",svg]
+....
+alice -> bob: async
+....
+`
+      sinon.stub(http, 'batch').callsFake((requests) => requests.map((request) => {
+        if (request.uri.includes('/graphviz/')) {
+          const error = new Error(`GET ${request.uri} - server returns a 400 status code`)
+          error.status = 400
+          error.body = 'Error 400: Syntax error in graph at line 3'
+          return { error }
+        }
+        return { data: '<svg/>' }
+      }))
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const registry = asciidoctor.Extensions.create()
+        asciidoctorKroki.register(registry)
+        const html = asciidoctor.convert(input, {
+          extension_registry: registry,
+          attributes: { 'kroki-fetch-diagram': true, 'kroki-fetch-mode': 'async' }
+        })
+        const hash = rusha.createHash().update('plantuml\nsvg\nalice -> bob: async').digest('hex')
+        expect(html).to.contain('<div class="literalblock graph kroki-error">\n<div class="title">Error 400: Syntax error in graph at line 3</div>')
+        expect(html).to.contain('<pre>digraph G {')
+        expect(html.match(/<img /g).length).to.equal(1)
+        expect(html).to.contain(`<img src=".asciidoctor/kroki/diag-${hash}.svg" alt="Diagram">`)
+        expect(http.batch.calledOnce).to.be.true()
+      } finally {
+        http.batch.restore()
+        warnStub.restore()
+      }
+    }).timeout(5000)
     it('should create a literal block when format is txt', () => {
       const input = `
 [plantuml,format=txt]
@@ -263,6 +459,493 @@ Bob->Alice : hello
         http.get.restore()
       }
     })
+    it('should show the error returned by the Kroki server', () => {
+      const input = `
+[graphviz]
+....
+digraph G {
+  a -> b
+  c ->
+}
+....
+`
+      const getStub = sinon.stub(http, 'get').callsFake((uri) => {
+        const error = new Error(`GET ${uri} - server returns a 400 status code`)
+        error.status = 400
+        error.body = 'Error 400: Syntax error in graph at line 3'
+        throw error
+      })
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const registry = asciidoctor.Extensions.create()
+        asciidoctorKroki.register(registry)
+        const html = asciidoctor.convert(input, { extension_registry: registry, attributes: { 'kroki-fetch-diagram': true } })
+        expect(html).to.contain('<div class="literalblock kroki-error">\n<div class="title">Error 400: Syntax error in graph at line 3</div>')
+        expect(warnStub.calledOnceWith('Skipping graphviz block. Kroki server returns a 400 status code for the graphviz diagram at line 3; reason: Error 400: Syntax error in graph at line 3')).to.be.true()
+      } finally {
+        getStub.restore()
+        warnStub.restore()
+      }
+    })
+    it('should not convert a diagram when the format is not supported by the diagram type', () => {
+      const input = `
+[mermaid,format=pdf]
+....
+graph TD;
+  A-->B;
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry)
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const html = asciidoctor.convert(input, { extension_registry: registry })
+        expect(html).to.contain('<div class="literalblock kroki-error">')
+        expect(html).to.not.contain('https://kroki.io/mermaid/')
+        expect(warnStub.calledOnceWith('Skipping mermaid block. Format \'pdf\' is not supported by mermaid. Supported formats are: \'png\', \'svg\'.')).to.be.true()
+      } finally {
+        warnStub.restore()
+      }
+    })
+    it('should use the fallback format when the format is not supported by the diagram type', () => {
+      const input = `
+:kroki-fallback-format: auto
+
+[graphviz,format=txt]
+....
+digraph G { Hello->World }
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry)
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const html = asciidoctor.convert(input, { extension_registry: registry })
+        expect(html).to.contain('https://kroki.io/graphviz/svg/')
+        expect(warnStub.calledOnceWith('Format \'txt\' is not supported by graphviz. Proceeding using: \'svg\'.')).to.be.true()
+      } finally {
+        warnStub.restore()
+      }
+    })
+    it('should use the supported formats defined in the context', () => {
+      const input = `
+[d2,format=pdf]
+....
+x -> y
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'], diagramFormats: { d2: ['svg', 'pdf'] } })
+      const html = asciidoctor.convert(input, { extension_registry: registry })
+      expect(html).to.contain('https://kroki.io/d2/pdf/eNqrUNC1U6gEAAWdAZ0=')
+    })
+    it('should warn when the image URI is longer than the maximum URI length and kroki-long-uri-policy is warn', () => {
+      const input = `
+:kroki-max-uri-length: 20
+:kroki-long-uri-policy: warn
+
+[d2]
+....
+x -> y
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const html = asciidoctor.convert(input, { extension_registry: registry })
+        expect(html).to.contain('https://kroki.io/d2/svg/eNqrUNC1U6gEAAWdAZ0=')
+        expect(warnStub.calledOnceWith('The image URI of the d2 block is longer than 20 characters and might be rejected by the Kroki server. Consider using the kroki-fetch-diagram attribute.')).to.be.true()
+      } finally {
+        warnStub.restore()
+      }
+    })
+    it('should fetch the diagram when the image URI is longer than the maximum URI length', () => {
+      const input = `
+:kroki-max-uri-length: 40
+
+[d2,id=flow]
+....
+x -> y
+....
+
+[d2]
+....
+y
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const postStub = sinon.stub(http, 'post').returns('<svg>x -> y</svg>')
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const html = asciidoctor.convert(input, { extension_registry: registry, attributes: { imagesdir: '.asciidoctor/kroki' } })
+        expect(html).to.contain('<img src=".asciidoctor/kroki/flow.svg" alt="Diagram">')
+        expect(fs.readFileSync(`${__dirname}/../.asciidoctor/kroki/flow.svg`, 'utf8')).to.equal('<svg>x -> y</svg>')
+        expect(warnStub.calledWith('The image URI of the d2 block \'flow\' is longer than 40 characters. Proceeding by fetching the diagram.')).to.be.true()
+        expect(postStub.calledOnceWith('https://kroki.io/d2/svg', 'x -> y')).to.be.true()
+        // short URIs are not fetched
+        expect(html).to.contain('<img src="https://kroki.io/d2/svg/eNqrBAAAegB6" alt="Diagram">')
+      } finally {
+        postStub.restore()
+        warnStub.restore()
+      }
+    })
+    it('should embed the diagram as a data URI when the image URI is too long and kroki-long-uri-policy is embed', () => {
+      const input = `
+:kroki-max-uri-length: 40
+:kroki-long-uri-policy: embed
+
+[d2]
+....
+x -> y
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const postStub = sinon.stub(http, 'post').returns('<svg/>')
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const html = asciidoctor.convert(input, { extension_registry: registry })
+        expect(html).to.contain('<img src="data:image/svg+xml;base64,PHN2Zy8+" alt="Diagram">')
+        expect(warnStub.calledOnceWith('The image URI of the d2 block is longer than 40 characters. Proceeding by embedding the diagram as a data URI.')).to.be.true()
+      } finally {
+        postStub.restore()
+        warnStub.restore()
+      }
+    })
+    it('should warn and report the policy actually used when kroki-long-uri-policy is invalid', () => {
+      const input = `
+:kroki-max-uri-length: 40
+:kroki-long-uri-policy: unknown
+
+[d2]
+....
+x -> y
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'], httpClient: { get: () => '<svg/>', post: () => '<svg/>' } })
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        asciidoctor.convert(input, { extension_registry: registry, attributes: { imagesoutdir: '.asciidoctor/kroki' } })
+        expect(warnStub.calledWith('Invalid value \'unknown\' for kroki-long-uri-policy attribute. The value must be either: \'fetch\', \'embed\' or \'warn\'. Proceeding using: \'fetch\'.')).to.be.true()
+        // in the browser, the diagram is embedded since it cannot be saved on the file system
+        global.window = { XMLHttpRequest: {} }
+        warnStub.resetHistory()
+        const html = asciidoctor.convert(input, { extension_registry: registry })
+        expect(warnStub.calledWith('Invalid value \'unknown\' for kroki-long-uri-policy attribute. The value must be either: \'fetch\', \'embed\' or \'warn\'. Proceeding using: \'embed\'.')).to.be.true()
+        expect(html).to.contain('<img src="data:image/svg+xml;base64,PHN2Zy8+" alt="Diagram">')
+      } finally {
+        delete global.window
+        warnStub.restore()
+      }
+    })
+    it('should embed the diagram as a data URI when kroki-embed is set', () => {
+      const input = `
+:kroki-embed:
+
+[d2]
+....
+x -> y
+....
+
+[d2,format=png]
+....
+x -> y
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'], diagramFormats: { d2: ['svg', 'png'] } })
+      const getStub = sinon.stub(http, 'get').callsFake((uri) => uri.includes('/png/') ? '\x89PNG' : '<svg/>')
+      try {
+        const html = asciidoctor.convert(input, { extension_registry: registry })
+        expect(html).to.contain('<img src="data:image/svg+xml;base64,PHN2Zy8+" alt="Diagram">')
+        expect(html).to.contain('<img src="data:image/png;base64,iVBORw==" alt="Diagram">')
+        expect(getStub.firstCall.args[1]).to.equal('binary')
+      } finally {
+        getStub.restore()
+      }
+    })
+    it('should let Asciidoctor embed or inline the diagram when kroki-embed is set with data-uri or the inline option', () => {
+      const input = `
+:kroki-embed:
+
+[d2]
+....
+embed -> data-uri
+....
+
+[d2,opts=inline]
+....
+embed -> inline
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const getStub = sinon.stub(http, 'get').returns('<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>')
+      try {
+        const html = asciidoctor.convert(input, { safe: 'safe', extension_registry: registry, attributes: { 'data-uri': '', imagesdir: '.asciidoctor/kroki' } })
+        expect(html).to.contain('<img src="data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPjxyZWN0Lz48L3N2Zz4=" alt="Diagram">')
+        expect(html).to.contain('<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>')
+      } finally {
+        getStub.restore()
+      }
+    })
+    it('should request the same diagram once across blocks and documents', () => {
+      const input = `
+[plantuml,format=txt]
+....
+legend -> memo
+....
+
+[plantuml,format=txt]
+....
+legend -> memo
+....
+
+[plantuml,format=svg]
+....
+legend -> memo
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry)
+      const getStub = sinon.stub(http, 'get').callsFake((uri) => uri.includes('/txt/') ? 'legend' : '<svg>legend</svg>')
+      try {
+        const attributes = { 'kroki-fetch-diagram': '', imagesoutdir: path.join(os.tmpdir(), 'asciidoctor-kroki-memo') }
+        asciidoctor.convert(input, { extension_registry: registry, attributes })
+        const html = asciidoctor.convert(input, { extension_registry: registry, attributes })
+        expect(html).to.contain('<pre>legend</pre>')
+        expect(getStub.callCount).to.equal(2)
+      } finally {
+        getStub.restore()
+        rimraf.sync(path.join(os.tmpdir(), 'asciidoctor-kroki-memo'))
+      }
+    })
+    it('should delete the stale diagram files when kroki-fetch-gc is set', () => {
+      const input = (text) => `
+[d2]
+....
+${text}
+....
+
+[d2,id=named]
+....
+gc -> named
+....
+`
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-gc-'))
+      const usedHash = rusha.createHash().update('d2\nsvg\ngc -> used').digest('hex')
+      const unknownFileName = 'diag-0123456789abcdef0123456789abcdef01234567.svg'
+      fs.writeFileSync(path.join(imagesOutputDir, unknownFileName), '<svg/>', 'utf8')
+      fs.writeFileSync(path.join(imagesOutputDir, 'logo.svg'), '<svg/>', 'utf8')
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const getStub = sinon.stub(http, 'get').returns('<svg/>')
+      try {
+        const attributes = { 'kroki-fetch-diagram': '', 'kroki-fetch-gc': '', 'kroki-fetch-state-dir': path.join(imagesOutputDir, '.state'), imagesoutdir: imagesOutputDir, docname: 'gc' }
+        asciidoctor.convert(input('gc -> stale'), { extension_registry: registry, attributes })
+        asciidoctor.convert(input('gc -> used'), { extension_registry: registry, attributes })
+        // the files that were not produced by the document are never deleted
+        expect(fs.readdirSync(imagesOutputDir).sort()).to.deep.equal(['.state', unknownFileName, `diag-${usedHash}.svg`, 'logo.svg', 'named.svg'])
+        expect(getStub.callCount).to.equal(3)
+      } finally {
+        getStub.restore()
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should not delete the diagram files of the other documents when kroki-fetch-gc is set', () => {
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-gc-'))
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const getStub = sinon.stub(http, 'get').returns('<svg/>')
+      try {
+        const convert = (docname, text) => asciidoctor.convert(`[d2]\n....\n${text}\n....\n`, {
+          extension_registry: registry,
+          attributes: { 'kroki-fetch-diagram': '', 'kroki-fetch-gc': '', 'kroki-fetch-state-dir': path.join(imagesOutputDir, '.state'), imagesoutdir: imagesOutputDir, docname }
+        })
+        const getFileName = (text) => `diag-${rusha.createHash().update(`d2\nsvg\n${text}`).digest('hex')}.svg`
+        const html = convert('a', 'a -> diagram')
+        convert('b', 'b -> diagram')
+        convert('c', 'a -> diagram')
+        expect(html).to.contain(`<img src="${getFileName('a -> diagram')}"`)
+        expect(fs.readdirSync(imagesOutputDir).sort()).to.deep.equal(['.state', getFileName('a -> diagram'), getFileName('b -> diagram')].sort())
+        // the diagram is still used by the document c
+        convert('a', 'a -> modified')
+        expect(fs.readdirSync(imagesOutputDir).sort()).to.deep.equal(['.state', getFileName('a -> diagram'), getFileName('a -> modified'), getFileName('b -> diagram')].sort())
+        convert('c', 'c -> modified')
+        expect(fs.readdirSync(imagesOutputDir).sort()).to.deep.equal(['.state', getFileName('a -> modified'), getFileName('b -> diagram'), getFileName('c -> modified')].sort())
+      } finally {
+        getStub.restore()
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should report the stale diagram files without deleting them when kroki-fetch-gc is dry-run', () => {
+      const input = (text) => `
+[d2]
+....
+${text}
+....
+`
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-gc-'))
+      const staleFilePath = path.join(imagesOutputDir, `diag-${rusha.createHash().update('d2\nsvg\ngc -> stale').digest('hex')}.svg`)
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const getStub = sinon.stub(http, 'get').returns('<svg/>')
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const attributes = { 'kroki-fetch-diagram': '', 'kroki-fetch-gc': 'dry-run', 'kroki-fetch-state-dir': path.join(imagesOutputDir, '.state'), imagesoutdir: imagesOutputDir, docname: 'gc' }
+        asciidoctor.convert(input('gc -> stale'), { extension_registry: registry, attributes })
+        expect(warnStub.called).to.be.false()
+        asciidoctor.convert(input('gc -> dry-run'), { extension_registry: registry, attributes })
+        asciidoctor.convert(input('gc -> dry-run'), { extension_registry: registry, attributes })
+        expect(fs.existsSync(staleFilePath)).to.be.true()
+        // the stale file is reported until it is deleted
+        expect(warnStub.callCount).to.equal(2)
+        expect(warnStub.alwaysCalledWith(`The following diagram files are no longer used and would be deleted (kroki-fetch-gc attribute is set to dry-run):\n - ${staleFilePath}`)).to.be.true()
+      } finally {
+        warnStub.restore()
+        getStub.restore()
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should not fail when kroki-fetch-gc is set and a diagram could not be fetched', () => {
+      const input = `
+[d2]
+....
+gc -> failure
+....
+`
+      const imagesOutputDir = path.join(os.tmpdir(), `asciidoctor-kroki-gc-${process.pid}-missing`)
+      rimraf.sync(imagesOutputDir)
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const getStub = sinon.stub(http, 'get').throws(new Error('GET https://kroki.io/d2/svg - error; reason: connect ECONNREFUSED'))
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const html = asciidoctor.convert(input, {
+          extension_registry: registry,
+          attributes: { 'kroki-fetch-diagram': '', 'kroki-fetch-gc': '', imagesoutdir: imagesOutputDir }
+        })
+        expect(html).to.contain('kroki-error')
+        expect(fs.existsSync(imagesOutputDir)).to.be.false()
+      } finally {
+        warnStub.restore()
+        getStub.restore()
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should not delete the diagram files when kroki-fetch-gc is not set', () => {
+      const input = `
+[d2]
+....
+gc -> disabled
+....
+`
+      const imagesOutputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asciidoctor-kroki-gc-'))
+      const staleFilePath = path.join(imagesOutputDir, 'diag-0123456789abcdef0123456789abcdef01234567.svg')
+      fs.writeFileSync(staleFilePath, '<svg/>', 'utf8')
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const getStub = sinon.stub(http, 'get').returns('<svg/>')
+      try {
+        asciidoctor.convert(input, { extension_registry: registry, attributes: { 'kroki-fetch-diagram': '', imagesoutdir: imagesOutputDir } })
+        expect(fs.existsSync(staleFilePath)).to.be.true()
+      } finally {
+        getStub.restore()
+        rimraf.sync(imagesOutputDir)
+      }
+    })
+    it('should use the diagrams previously fetched when kroki-offline is set', () => {
+      const input = `
+[d2]
+....
+offline -> fetched
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const hash = rusha.createHash().update('d2\nsvg\noffline -> fetched').digest('hex')
+      fs.mkdirSync(`${__dirname}/../.asciidoctor/kroki`, { recursive: true })
+      fs.writeFileSync(`${__dirname}/../.asciidoctor/kroki/diag-${hash}.svg`, '<svg/>', 'utf8')
+      const getStub = sinon.stub(http, 'get').returns('<svg/>')
+      try {
+        const html = asciidoctor.convert(input, {
+          extension_registry: registry,
+          attributes: { 'kroki-offline': '', 'kroki-fetch-diagram': '', imagesdir: '.asciidoctor/kroki' }
+        })
+        expect(html).to.contain(`<img src=".asciidoctor/kroki/diag-${hash}.svg" alt="Diagram">`)
+        expect(getStub.called).to.be.false()
+      } finally {
+        getStub.restore()
+      }
+    })
+    it('should fail and list the missing diagrams when kroki-offline is set', () => {
+      const input = `
+[d2,id=missing]
+....
+offline -> missing
+....
+
+[plantuml,format=txt]
+....
+alice -> bob
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const getStub = sinon.stub(http, 'get').returns('<svg/>')
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        expect(() => asciidoctor.convert(input, {
+          extension_registry: registry,
+          attributes: { 'kroki-offline': '', 'kroki-fetch-diagram': '', imagesdir: '.asciidoctor/kroki' }
+        })).to.throw(asciidoctorKroki.KrokiOfflineError, `The following diagrams are not available offline, convert the document without the kroki-offline attribute to refresh them:
+ - d2 block 'missing'
+ - plantuml block`)
+        expect(getStub.called).to.be.false()
+      } finally {
+        getStub.restore()
+        warnStub.restore()
+      }
+    })
+    it('should warn about the missing diagrams when kroki-offline is warn', () => {
+      const input = `
+[d2]
+....
+offline -> warn
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const warnStub = sinon.stub(console, 'warn')
+      try {
+        const html = asciidoctor.convert(input, {
+          extension_registry: registry,
+          attributes: { 'kroki-offline': 'warn', 'kroki-fetch-diagram': '', imagesdir: '.asciidoctor/kroki' }
+        })
+        expect(html).to.contain('kroki-error')
+        expect(warnStub.calledWith('The following diagrams are not available offline, convert the document without the kroki-offline attribute to refresh them:\n - d2 block')).to.be.true()
+      } finally {
+        warnStub.restore()
+      }
+    })
+    it('should send the block attributes and the document attributes as diagram options', () => {
+      const input = `
+:kroki-diagram-options: theme=dark
+:kroki-diagram-options-d2: layout=elk, sketch=true
+
+[d2,layout=dagre,width=100]
+....
+x -> y
+....
+`
+      const registry = asciidoctor.Extensions.create()
+      asciidoctorKroki.register(registry, { diagramTypes: ['d2'] })
+      const html = asciidoctor.convert(input, { extension_registry: registry })
+      expect(html).to.contain('https://kroki.io/d2/svg/eNqrUNC1U6gEAAWdAZ0=?layout=dagre&sketch=true&theme=dark')
+    })
     it('should embed an SVG image with built-in allow-uri-read and data-uri (available in Asciidoctor.js 2+)', () => {
       const input = `
 :imagesdir: .asciidoctor/kroki
@@ -1018,9 +1701,7 @@ plantuml::test/fixtures/alice.puml[svg,role=sequence${blockAttr}]
             extension_registry: registry,
             attributes: { 'kroki-fetch-diagram': true }
           })
-          const file = `${__dirname}/fixtures/alice.puml`
-          const hash = rusha.createHash().update(`https://kroki.io/plantuml/svg/${encode(file)}`).digest('hex')
-          expect(html).to.contain(`<object type="image/svg+xml" data=".asciidoctor/kroki/diag-${hash}.svg"><span class="alt">Diagram</span></object>`)
+          expect(html).to.contain('<object type="image/svg+xml" data=".asciidoctor/kroki/alice.svg"><span class="alt">Diagram</span></object>')
         })
       }
     })